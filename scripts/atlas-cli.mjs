@@ -8,15 +8,19 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import { Command } from 'commander';
-import { NodeIO } from '@gltf-transform/core';
 import { listTextureSlots } from '@gltf-transform/functions';
 import {
   processAtlas,
   pruneUnusedTextures,
   collapseToSingleMeshAndMaterial,
+  rewireMaterialsToAtlas,
   mergeAllBuffers,
+  parseSizingRules,
+  createAtlasIO,
+  compressGeometry,
+  COMPRESSION_MODES,
 } from './atlas-lib.mjs';
-import { mergeDocuments, unpartition } from '@gltf-transform/functions';
+import { mergeDocuments, quantize, unpartition } from '@gltf-transform/functions';
 
 const program = new Command();
 
@@ -28,20 +32,42 @@ program
   .option('--folder <dir>', 'Process and merge all .glb/.gltf in a folder')
   .option(
     '--maps <list>',
-    'Comma list of map types to atlas (baseColor,normal,orm,emissive)',
-    'baseColor,normal,orm,emissive'
+    'Comma list of map types to atlas (baseColor,normal,orm,emissive, KHR_materials_* slots such as clearcoat,sheenColor,transmission, or "extensions" for all used slots)',
+    'baseColor,normal,orm,emissive,extensions'
   )
   .option('--padding <px>', 'Padding (pixels) between atlas rects', (v) => parseInt(v, 10), 2)
+  .option('--align <px>', 'Snap rect positions/sizes to a pixel multiple (1|4|8|16) for block compression', (v) => parseInt(v, 10), 1)
+  .option('--align-mips <n>', 'Align so N mip levels stay free of shared 4x4 blocks (overrides smaller --align)', (v) => parseInt(v, 10), 0)
+  .option('--atlas-shape <shape>', 'Atlas dimensions: square (POT) | pot (per-side POT) | npot (tight, multiple of 4)', 'square')
+  .option('--crop', 'Pack only the UV region each texture is sampled in (and trim transparent borders)', false)
+  .option('--crop-margin <px>', 'Texels kept around a cropped region', (v) => parseInt(v, 10), 4)
+  .option('--allow-rotation', 'Let the packer rotate rects 90° (UVs are rotated to match)', false)
   .option('--max-size <n>', 'Atlas max dimension (power of two)', (v) => parseInt(v, 10), 4096)
   .option('--texcoord <n>', 'Texcoord set to remap (default 0)', (v) => parseInt(v, 10), 0)
   .option('--format-basecolor <fmt>', 'Atlas format for baseColor (png|jpeg|webp)', 'webp')
   .option('--format-normal <fmt>', 'Atlas format for normal (png|webp)', 'webp')
   .option('--format-orm <fmt>', 'Atlas format for ORM (png|webp)', 'webp')
   .option('--format-emissive <fmt>', 'Atlas format for emissive (png|jpeg|webp)', 'webp')
+  .option('--format-extensions <fmt>', 'Atlas format for KHR_materials_* maps (png|jpeg|webp)', 'png')
+  .option('--dilate-basecolor <mode>', 'Edge dilation for baseColor (none|gutter|full)', 'full')
+  .option('--dilate-normal <mode>', 'Edge dilation for normal (none|gutter|full)', 'gutter')
+  .option('--dilate-orm <mode>', 'Edge dilation for ORM (none|gutter|full)', 'gutter')
+  .option('--dilate-emissive <mode>', 'Edge dilation for emissive (none|gutter|full)', 'gutter')
+  .option('--dilate-extensions <mode>', 'Edge dilation for KHR_materials_* maps (none|gutter|full)', 'gutter')
   .option('--quality <n>', 'Quality (0-100) for jpeg/webp', (v) => parseInt(v, 10), 85)
   .option('--max-bins <n>', 'Maximum atlas bins per map', (v) => parseInt(v, 10), 1)
   .option('--resize-mode <mode>', 'Resize mode: none | downscale', 'downscale')
   .option('--resize-ceil <px>', 'Resize ceil when downscaling inputs', (v) => parseInt(v, 10), 4096)
+  .option('--size-mode <mode>', 'Rect sizing: best-fill | buckets | texel-density', 'best-fill')
+  .option('--texels-per-meter <n>', 'Texel-density target (implies --size-mode texel-density)', (v) => parseFloat(v))
+  .option('--sizing-rules <file>', 'JSON or YAML per-material sizing rules (size, minSize, maxSize, priority, neverDownscale)')
+  .option('--tiling <policy>', 'Tiling UVs (outside 0-1): exclude | pretile | fail', 'exclude')
+  .option('--tile-max-repeat <n>', 'Max repeats per axis to pre-tile (pretile policy)', (v) => parseInt(v, 10), 4)
+  .option('--collapse-mode <mode>', 'Collapse: flatten (one static mesh) | skinned (keep skeletons, merge per skin) | hierarchy (keep animated nodes)', 'flatten')
+  .option('--no-collapse', 'Atlas only: keep meshes, nodes and materials, rewired to the atlas')
+  .option('--quantize', 'Re-quantize vertex attributes on output (KHR_mesh_quantization)', false)
+  .option('--compress <codec>', 'Compress output geometry: none | draco | meshopt', 'none')
+  .option('--split-by-render-state', 'Build a separate atlas set per alphaMode/alphaCutoff/doubleSided group', false)
   .option('--dump-layout <file>', 'Write atlas layout JSON to file')
   .option('--skip-atlas', 'Skip atlasing (inspect only)', false)
   .option('--verbose', 'Print detailed texture slot usage', false);
@@ -59,7 +85,11 @@ const outputPath = options.output
   : null;
 
 async function main() {
-  const io = new NodeIO();
+  const compress = options.compress.toLowerCase();
+  if (!COMPRESSION_MODES.includes(compress)) {
+    throw new Error(`Unknown compression "${compress}" (expected ${COMPRESSION_MODES.join(', ')})`);
+  }
+  const io = await createAtlasIO();
 
   let doc;
   let sourceFiles = [];
@@ -113,19 +143,47 @@ async function main() {
       normal: options.formatNormal.toLowerCase(),
       orm: options.formatOrm.toLowerCase(),
       emissive: options.formatEmissive.toLowerCase(),
+      extensions: options.formatExtensions.toLowerCase(),
+    };
+
+    const dilate = {
+      basecolor: options.dilateBasecolor.toLowerCase(),
+      normal: options.dilateNormal.toLowerCase(),
+      orm: options.dilateOrm.toLowerCase(),
+      emissive: options.dilateEmissive.toLowerCase(),
+      extensions: options.dilateExtensions.toLowerCase(),
     };
 
-    const { layout, atlasTextures } = await processAtlas(doc, {
+    const sizingRules = options.sizingRules
+      ? parseSizingRules(await fs.readFile(options.sizingRules, 'utf8'), options.sizingRules)
+      : [];
+
+    const { layout, atlasTextures, excludedMaterials, atlasGroups } = await processAtlas(doc, {
       maps,
       maxSize: options.maxSize,
       padding: options.padding,
+      align: options.align,
+      alignMips: options.alignMips,
       texcoord: options.texcoord,
       formats,
+      dilate,
       quality: options.quality,
       verbose: options.verbose,
       maxBins: options.maxBins,
       resizeMode: options.resizeMode,
       resizeCeil: options.resizeCeil,
+      sizeMode: options.texelsPerMeter ? 'texel-density' : options.sizeMode.toLowerCase(),
+      texelsPerMeter: options.texelsPerMeter,
+      sizingRules,
+      tiling: options.tiling.toLowerCase(),
+      tileMaxRepeat: options.tileMaxRepeat,
+      splitByRenderState: options.splitByRenderState,
+      allowRotation: options.allowRotation,
+      atlasShape: options.atlasShape.toLowerCase(),
+      crop: options.crop,
+      cropMargin: options.cropMargin,
+      // Atlas-only output promises to keep every material, so identical ones are not folded.
+      dedupeMaterials: options.collapse,
     });
 
     if (options.dumpLayout) {
@@ -133,8 +191,32 @@ async function main() {
       console.log(`[atlasgen] Wrote layout to ${options.dumpLayout}`);
     }
 
-    // Collapse to single mesh/material with atlas textures.
-    collapseToSingleMeshAndMaterial(doc, atlasTextures);
+    if (options.collapse) {
+      // Collapse to a single mesh with one material per render state, wired to the atlas textures.
+      const collapseMode = options.collapseMode.toLowerCase();
+      const { droppedAnimations } = collapseToSingleMeshAndMaterial(doc, atlasTextures, {
+        keepMaterials: excludedMaterials,
+        atlasGroups,
+        mode: collapseMode,
+      });
+      for (const { name, channels, removed } of droppedAnimations) {
+        console.warn(
+          `[atlasgen] Warning: animation "${name}" ${removed ? 'could not be preserved and was removed' : 'lost'} ` +
+            `(${channels} channel(s) targeted collapsed nodes).`
+        );
+      }
+      if (droppedAnimations.length && collapseMode !== 'hierarchy') {
+        console.warn('[atlasgen] Use --collapse-mode hierarchy to keep animated nodes.');
+      }
+    } else {
+      rewireMaterialsToAtlas(doc, atlasTextures, { keepMaterials: excludedMaterials, atlasGroups });
+    }
+
+    // Merging decodes quantized attributes to float; pack them back down if asked.
+    if (options.quantize) {
+      await doc.transform(quantize());
+      console.log('[atlasgen] Quantized vertex attributes (KHR_mesh_quantization).');
+    }
 
   await doc.transform(unpartition());
   mergeAllBuffers(doc);
@@ -143,6 +225,9 @@ async function main() {
     console.log('[atlasgen] --skip-atlas set; skipping atlas/UV changes.');
   }
 
+  await compressGeometry(doc, compress);
+  if (compress !== 'none') console.log(`[atlasgen] Compressing geometry with ${compress}.`);
+
   console.log(`[atlasgen] Writing to ${outputPath}`);
   await io.write(outputPath, doc);
   console.log('[atlasgen] Done.');
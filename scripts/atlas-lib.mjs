@@ -1,9 +1,314 @@
+import { createHash } from 'node:crypto';
 import { MaxRectsPacker } from 'maxrects-packer';
 import sizeOf from 'image-size';
 import sharp from 'sharp';
-import { KHRTextureTransform } from '@gltf-transform/extensions';
+import { parse as parseYaml } from 'yaml';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+import { NodeIO, Primitive, TextureInfo } from '@gltf-transform/core';
+import { draco, meshopt } from '@gltf-transform/functions';
+import {
+  KHRTextureTransform,
+  KHRMaterialsClearcoat,
+  KHRMaterialsSheen,
+  KHRMaterialsTransmission,
+  KHRMaterialsVolume,
+  KHRMaterialsSpecular,
+  KHRMaterialsIridescence,
+  KHRMeshQuantization,
+  KHRDracoMeshCompression,
+  EXTMeshoptCompression,
+} from '@gltf-transform/extensions';
+
+// Extensions the atlas pipeline understands; register these on NodeIO/WebIO so they survive reading.
+export const ATLAS_EXTENSIONS = [
+  KHRTextureTransform,
+  KHRMaterialsClearcoat,
+  KHRMaterialsSheen,
+  KHRMaterialsTransmission,
+  KHRMaterialsVolume,
+  KHRMaterialsSpecular,
+  KHRMaterialsIridescence,
+  KHRMeshQuantization,
+];
+
+// Output geometry compression: 'draco' (KHR_draco_mesh_compression) or 'meshopt' (EXT_meshopt_compression).
+export const COMPRESSION_MODES = ['none', 'draco', 'meshopt'];
+
+/**
+ * NodeIO with the atlas extensions plus the Draco and meshopt codecs, so compressed
+ * inputs decode on read and compressed outputs encode on write.
+ */
+export async function createAtlasIO() {
+  await Promise.all([MeshoptDecoder.ready, MeshoptEncoder.ready]);
+  return new NodeIO()
+    .registerExtensions([...ATLAS_EXTENSIONS, KHRDracoMeshCompression, EXTMeshoptCompression])
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder,
+    });
+}
+
+/**
+ * Marks the document's geometry for compression on write. Run last: meshopt quantizes
+ * and reorders vertices, and both codecs replace the plain accessors in the output.
+ */
+export async function compressGeometry(doc, mode = 'none') {
+  if (!COMPRESSION_MODES.includes(mode)) {
+    throw new Error(`Unknown compression "${mode}" (expected ${COMPRESSION_MODES.join(', ')})`);
+  }
+  // Reading a compressed file leaves its extension registered; drop it so 'none' writes plain accessors.
+  for (const ext of doc.getRoot().listExtensionsUsed()) {
+    if (ext.extensionName === KHRDracoMeshCompression.EXTENSION_NAME ||
+        ext.extensionName === EXTMeshoptCompression.EXTENSION_NAME) {
+      ext.dispose();
+    }
+  }
+  if (mode === 'draco') await doc.transform(draco());
+  else if (mode === 'meshopt') await doc.transform(meshopt({ encoder: MeshoptEncoder }));
+}
 
-const MAPS_SUPPORTED = ['basecolor', 'normal', 'orm', 'emissive'];
+// Per-map texture slot accessors. `fallback` returns the linear RGBA (0–1) texel that reproduces a
+// material's look when it has no texture in the slot; sRGB slots are encoded when filled.
+// `bake.factor` describes how the material's factors transform a texel (linear `v * mul + add`, or a
+// tangent-space `normalScale`); `bake.reset` sets those factors to identity once they live in the atlas.
+const MAP_SLOTS = {
+  basecolor: {
+    colorSpace: 'srgb',
+    get: (mat) => mat.getBaseColorTexture(),
+    info: (mat) => mat.getBaseColorTextureInfo(),
+    set: (mat, tex) => mat.setBaseColorTexture(tex),
+    fallback: (mat) => (mat ? mat.getBaseColorFactor() : [1, 1, 1, 1]),
+    bake: multiplyFactor('BaseColorFactor'),
+  },
+  normal: {
+    colorSpace: 'linear',
+    get: (mat) => mat.getNormalTexture(),
+    info: (mat) => mat.getNormalTextureInfo(),
+    set: (mat, tex) => mat.setNormalTexture(tex),
+    fallback: () => [0.5, 0.5, 1, 1],
+    bake: normalScaleFactor('NormalScale'),
+  },
+  orm: {
+    colorSpace: 'linear',
+    get: (mat) => mat.getMetallicRoughnessTexture() || mat.getOcclusionTexture(),
+    info: (mat) => mat.getMetallicRoughnessTextureInfo() || mat.getOcclusionTextureInfo(),
+    set: (mat, tex) => {
+      mat.setMetallicRoughnessTexture(tex);
+      mat.setOcclusionTexture(tex);
+    },
+    // R = no occlusion; G/B carry the material's own roughness/metallic factors.
+    fallback: (mat) => (mat ? [1, mat.getRoughnessFactor(), mat.getMetallicFactor(), 1] : [1, 1, 1, 1]),
+    bake: {
+      // Occlusion strength lerps R towards 1: 1 + s * (R - 1).
+      factor: (mat) => {
+        const s = mat.getOcclusionStrength();
+        return { mul: [s, mat.getRoughnessFactor(), mat.getMetallicFactor(), 1], add: [1 - s, 0, 0, 0] };
+      },
+      reset: (mat) => mat.setOcclusionStrength(1).setRoughnessFactor(1).setMetallicFactor(1),
+    },
+  },
+  emissive: {
+    colorSpace: 'srgb',
+    get: (mat) => mat.getEmissiveTexture(),
+    info: (mat) => mat.getEmissiveTextureInfo(),
+    set: (mat, tex) => mat.setEmissiveTexture(tex),
+    fallback: (mat) => (mat ? [...mat.getEmissiveFactor(), 1] : [0, 0, 0, 1]),
+    bake: multiplyFactor('EmissiveFactor'),
+  },
+  // Extension slots: a material without the extension gets the texel that turns the effect off.
+  clearcoat: extensionSlot(
+    'KHR_materials_clearcoat',
+    'Clearcoat',
+    'linear',
+    (ext) => gray(ext ? ext.getClearcoatFactor() : 0),
+    multiplyFactor('ClearcoatFactor')
+  ),
+  clearcoatroughness: extensionSlot(
+    'KHR_materials_clearcoat',
+    'ClearcoatRoughness',
+    'linear',
+    (ext) => gray(ext ? ext.getClearcoatRoughnessFactor() : 0),
+    multiplyFactor('ClearcoatRoughnessFactor')
+  ),
+  clearcoatnormal: extensionSlot(
+    'KHR_materials_clearcoat',
+    'ClearcoatNormal',
+    'linear',
+    () => [0.5, 0.5, 1, 1],
+    normalScaleFactor('ClearcoatNormalScale')
+  ),
+  sheencolor: extensionSlot(
+    'KHR_materials_sheen',
+    'SheenColor',
+    'srgb',
+    (ext) => (ext ? [...ext.getSheenColorFactor(), 1] : [0, 0, 0, 1]),
+    multiplyFactor('SheenColorFactor')
+  ),
+  sheenroughness: extensionSlot(
+    'KHR_materials_sheen',
+    'SheenRoughness',
+    'linear',
+    (ext) => grayAlpha(ext ? ext.getSheenRoughnessFactor() : 0),
+    multiplyFactor('SheenRoughnessFactor', grayAlpha)
+  ),
+  transmission: extensionSlot(
+    'KHR_materials_transmission',
+    'Transmission',
+    'linear',
+    (ext) => gray(ext ? ext.getTransmissionFactor() : 0),
+    multiplyFactor('TransmissionFactor')
+  ),
+  thickness: extensionSlot(
+    'KHR_materials_volume',
+    'Thickness',
+    'linear',
+    (ext, scales) => gray(ext && scales.thicknessFactor > 0 ? ext.getThicknessFactor() / scales.thicknessFactor : 0),
+    {
+      // Thickness is unbounded; texels hold it relative to the largest factor, which the merged material carries.
+      factor: (ext, scales) => ({
+        mul: gray(scales.thicknessFactor > 0 ? ext.getThicknessFactor() / scales.thicknessFactor : 0),
+      }),
+      reset: (ext, scales) => ext.setThicknessFactor(scales.thicknessFactor),
+    }
+  ),
+  specular: extensionSlot(
+    'KHR_materials_specular',
+    'Specular',
+    'linear',
+    (ext) => grayAlpha(ext ? ext.getSpecularFactor() : 1),
+    multiplyFactor('SpecularFactor', grayAlpha)
+  ),
+  specularcolor: extensionSlot(
+    'KHR_materials_specular',
+    'SpecularColor',
+    'srgb',
+    (ext) => (ext ? [...ext.getSpecularColorFactor(), 1] : [1, 1, 1, 1]),
+    multiplyFactor('SpecularColorFactor')
+  ),
+  iridescence: extensionSlot(
+    'KHR_materials_iridescence',
+    'Iridescence',
+    'linear',
+    (ext) => gray(ext ? ext.getIridescenceFactor() : 0),
+    multiplyFactor('IridescenceFactor')
+  ),
+  iridescencethickness: extensionSlot(
+    'KHR_materials_iridescence',
+    'IridescenceThickness',
+    'linear',
+    (ext, scales) => {
+      if (!ext) return gray(0);
+      const { iridescenceThicknessMinimum: min, iridescenceThicknessMaximum: max } = scales;
+      return gray(max > min ? (ext.getIridescenceThicknessMaximum() - min) / (max - min) : 1);
+    },
+    {
+      // Re-express this material's min..max thickness range within the shared range.
+      factor: (ext, scales) => {
+        const { iridescenceThicknessMinimum: min, iridescenceThicknessMaximum: max } = scales;
+        const lo = ext.getIridescenceThicknessMinimum();
+        const hi = ext.getIridescenceThicknessMaximum();
+        if (max <= min) return { mul: gray(0), add: [1, 1, 1, 0] };
+        const offset = (lo - min) / (max - min);
+        return { mul: gray((hi - lo) / (max - min)), add: [offset, offset, offset, 0] };
+      },
+      reset: (ext, scales) =>
+        ext
+          .setIridescenceThicknessMinimum(scales.iridescenceThicknessMinimum)
+          .setIridescenceThicknessMaximum(scales.iridescenceThicknessMaximum),
+    }
+  ),
+};
+
+const MAPS_SUPPORTED = Object.keys(MAP_SLOTS);
+const EXTENSION_MAPS = MAPS_SUPPORTED.filter((m) => MAP_SLOTS[m].extension);
+
+// How the merged material recreates each extension; factors multiplied into atlas texels become 1.
+const MATERIAL_EXTENSIONS = {
+  KHR_materials_clearcoat: {
+    ctor: KHRMaterialsClearcoat,
+    create: (ext) => ext.createClearcoat(),
+    configure: (prop, src, atlased) =>
+      prop
+        .setClearcoatFactor(atlased.clearcoat ? 1 : src.getClearcoatFactor())
+        .setClearcoatRoughnessFactor(atlased.clearcoatroughness ? 1 : src.getClearcoatRoughnessFactor())
+        .setClearcoatNormalScale(atlased.clearcoatnormal ? 1 : src.getClearcoatNormalScale()),
+  },
+  KHR_materials_sheen: {
+    ctor: KHRMaterialsSheen,
+    create: (ext) => ext.createSheen(),
+    configure: (prop, src, atlased) =>
+      prop
+        .setSheenColorFactor(atlased.sheencolor ? [1, 1, 1] : src.getSheenColorFactor())
+        .setSheenRoughnessFactor(atlased.sheenroughness ? 1 : src.getSheenRoughnessFactor()),
+  },
+  KHR_materials_transmission: {
+    ctor: KHRMaterialsTransmission,
+    create: (ext) => ext.createTransmission(),
+    configure: (prop, src, atlased) =>
+      prop.setTransmissionFactor(atlased.transmission ? 1 : src.getTransmissionFactor()),
+  },
+  KHR_materials_volume: {
+    ctor: KHRMaterialsVolume,
+    create: (ext) => ext.createVolume(),
+    configure: (prop, src, atlased, scales) =>
+      prop
+        .setThicknessFactor(atlased.thickness ? scales.thicknessFactor : src.getThicknessFactor())
+        .setAttenuationDistance(src.getAttenuationDistance())
+        .setAttenuationColor(src.getAttenuationColor()),
+  },
+  KHR_materials_specular: {
+    ctor: KHRMaterialsSpecular,
+    create: (ext) => ext.createSpecular(),
+    configure: (prop, src, atlased) =>
+      prop
+        .setSpecularFactor(atlased.specular ? 1 : src.getSpecularFactor())
+        .setSpecularColorFactor(atlased.specularcolor ? [1, 1, 1] : src.getSpecularColorFactor()),
+  },
+  KHR_materials_iridescence: {
+    ctor: KHRMaterialsIridescence,
+    create: (ext) => ext.createIridescence(),
+    configure: (prop, src, atlased, scales) =>
+      prop
+        .setIridescenceFactor(atlased.iridescence ? 1 : src.getIridescenceFactor())
+        .setIridescenceIOR(src.getIridescenceIOR())
+        .setIridescenceThicknessMinimum(
+          atlased.iridescencethickness ? scales.iridescenceThicknessMinimum : src.getIridescenceThicknessMinimum()
+        )
+        .setIridescenceThicknessMaximum(
+          atlased.iridescencethickness ? scales.iridescenceThicknessMaximum : src.getIridescenceThicknessMaximum()
+        ),
+  },
+};
+
+const TILING_POLICIES = ['exclude', 'pretile', 'fail'];
+// square: power-of-two square bins. pot: power of two per side. npot: tight to the packed rects,
+// rounded up to a multiple of 4 (the compression block size) or the rect alignment.
+const ATLAS_SHAPES = ['square', 'pot', 'npot'];
+// best-fill / buckets: size rects relative to the densest material. texel-density: size each rect
+// for an absolute texelsPerMeter target, clamped to its source resolution.
+const SIZE_MODES = ['best-fill', 'buckets', 'texel-density'];
+const SIZING_RULE_FIELDS = ['size', 'minSize', 'maxSize', 'priority'];
+// flatten: bake every node into one static mesh. skinned: keep skeleton nodes and merge skinned
+// primitives (plus meshes parented to bones) into one skinned mesh per skeleton. hierarchy: keep
+// animated nodes and their subtrees as-is and merge only the static remainder.
+const COLLAPSE_MODES = ['flatten', 'skinned', 'hierarchy'];
+// Default weight of each baked morph target, gathered from its source node/mesh until the merged
+// mesh's weights are assembled.
+const morphTargetWeights = new WeakMap();
+// 'gutter' extrudes rect edges into padding; 'full' also floods RGB under fully transparent texels.
+const DILATION_MODES = ['none', 'gutter', 'full'];
+const DEFAULT_DILATION = { basecolor: 'full', normal: 'gutter', orm: 'gutter', emissive: 'gutter', extensions: 'gutter' };
+// BC/ETC/ASTC encode 4x4 texel blocks; rects must not share a block at any mip level we care about.
+const COMPRESSION_BLOCK_SIZE = 4;
+// UVs may overshoot 0–1 by float noise without actually tiling.
+const TILING_EPSILON = 1e-3;
+// Transforms whose 3x3 determinant is within this of zero are singular (an axis scaled to zero).
+const SINGULAR_EPSILON = 1e-12;
+// Rect size for a material with no texture in the packed map, when none of its other maps has one either.
+const FALLBACK_RECT_SIZE = 64;
 
 export async function processAtlas(doc, opts) {
   const {
@@ -11,87 +316,263 @@ export async function processAtlas(doc, opts) {
     maxSize = 4096,
     padding = 2,
     texcoord = 0,
-    formats = {},
+    formats = {}, // per map, plus `extensions` for every KHR_materials_* slot without its own entry
     quality = 85,
     verbose = false,
     maxBins = 1,
     resizeMode = 'downscale', // 'none' | 'downscale'
     resizeCeil = 4096,
-    sizeMode = 'best-fill', // 'best-fill' | 'buckets'
+    sizeMode = 'best-fill', // 'best-fill' | 'buckets' | 'texel-density'
+    texelsPerMeter = 0, // texel-density target, in texels per world unit (meter)
+    sizingRules = [], // per-material overrides from parseSizingRules
+    tiling = 'exclude', // 'exclude' | 'pretile' | 'fail'
+    tileMaxRepeat = 4,
+    dilate = {}, // keyed like `formats`
+    align = 1, // snap rects to multiples of this many pixels (power of two)
+    alignMips = 0, // or: keep this many mip levels free of shared compression blocks
+    splitByRenderState = false, // one atlas set per alphaMode/alphaCutoff/doubleSided group
+    allowRotation = false, // let the packer turn rects 90° (UVs are rotated to match)
+    atlasShape = 'square', // 'square' | 'pot' | 'npot'
+    crop = false, // pack only the UV region each texture's primitives sample (and trim alpha borders)
+    cropMargin = 4, // texels kept around the cropped region
+    dedupeMaterials = true, // fold identical materials; atlas-only output keeps every material
   } = opts;
+  if (!ATLAS_SHAPES.includes(atlasShape)) {
+    throw new Error(`Unknown atlas shape "${atlasShape}" (expected ${ATLAS_SHAPES.join(' | ')}).`);
+  }
+  if (!SIZE_MODES.includes(sizeMode)) {
+    throw new Error(`Unknown size mode "${sizeMode}" (expected ${SIZE_MODES.join(' | ')}).`);
+  }
+  if (sizeMode === 'texel-density' && !(texelsPerMeter > 0)) {
+    throw new Error('Size mode "texel-density" needs a positive texelsPerMeter target.');
+  }
 
   const layout = [];
   const atlasTextures = {};
-  const lowerMaps = (maps || ['basecolor']).map((m) => m.toLowerCase());
+  const excludedMaterials = [];
+  const atlasGroups = [];
+  // "extensions" expands to every KHR_materials_* slot whose extension the document uses.
+  const usedExtensions = new Set(doc.getRoot().listExtensionsUsed().map((ext) => ext.extensionName));
+  const lowerMaps = (maps || ['basecolor'])
+    .map((m) => m.toLowerCase())
+    .flatMap((m) =>
+      m === 'extensions' ? EXTENSION_MAPS.filter((e) => usedExtensions.has(MAP_SLOTS[e].extension)) : [m]
+    );
   const validMaps = lowerMaps.filter((m) => {
     const ok = MAPS_SUPPORTED.includes(m);
     if (!ok && verbose) console.warn(`[atlasgen] Skipping unknown map type "${m}"`);
     return ok;
   });
 
-  if (validMaps.length === 0) return { layout, atlasTextures };
+  if (validMaps.length === 0) return { layout, atlasTextures, excludedMaterials, atlasGroups };
+
+  const alignment = resolveAlignment(align, alignMips);
+  if (alignment > 1) {
+    const grown = padding > 0 && padding % alignment !== 0 ? `; padding grows ${padding}px -> ${alignUp(padding, alignment)}px` : '';
+    console.log(`[atlasgen] Aligning atlas rects to ${alignment}px${grown}.`);
+  }
+
+  // Files merged with mergeDocuments each bring their own copy of shared images and materials.
+  const duplicates = dedupeTexturesAndMaterials(doc, { materials: dedupeMaterials });
 
   // 1) Compute canonical packing using the first map (prefer basecolor).
   const canonicalMap = validMaps.includes('basecolor') ? 'basecolor' : validMaps[0];
+
+  // 0) Detect materials whose UVs repeat outside 0–1 and decide how to handle them.
+  const tilingPlan = planTiling(doc, validMaps, canonicalMap, { policy: tiling, maxRepeat: tileMaxRepeat });
+  for (const [mat, plan] of tilingPlan) {
+    if (plan.action !== 'exclude') continue;
+    excludedMaterials.push(mat);
+    setMaterialWrap(mat, TextureInfo.WrapMode.REPEAT);
+  }
+  const atlased = doc.getRoot().listMaterials().filter((mat) => !excludedMaterials.includes(mat));
+  const groups = splitByRenderState ? groupByRenderState(atlased) : [{ label: null, materials: atlased }];
+  for (const group of groups) {
+    if (group.label) {
+      console.log(`[atlasgen] Atlasing render state ${group.label} (${group.materials.length} material(s)).`);
+    }
+    const bins = await atlasMaterialGroup(doc, group, validMaps, canonicalMap, layout, {
+      maxSize,
+      padding,
+      texcoord,
+      formats,
+      quality,
+      maxBins,
+      resizeMode,
+      resizeCeil,
+      sizeMode,
+      texelsPerMeter,
+      sizingRules,
+      tilingPlan,
+      dilate,
+      align: alignment,
+      allowRotation,
+      atlasShape,
+      duplicates: duplicates.textures,
+      crop,
+      cropMargin,
+    });
+    if (bins.length) Object.assign(atlasTextures, bins[0].atlasTextures);
+    // One atlas group per bin; `atlasMaterials` is the whole set that shared the atlas (for factor scales).
+    bins.forEach((bin, index) => {
+      atlasGroups.push({
+        renderState: group.label,
+        bin: index,
+        materials: bin.materials,
+        atlasMaterials: group.materials,
+        atlasTextures: bin.atlasTextures,
+      });
+    });
+  }
+
+  return { layout, atlasTextures, excludedMaterials, atlasGroups };
+}
+
+// A per-map option; extension slots share the `extensions` entry unless given their own.
+function mapSetting(table, map) {
+  return table[map] ?? (MAP_SLOTS[map].extension ? table.extensions : undefined);
+}
+
+// Atlas every map for one set of materials: pack the canonical map, then fill the others into its
+// rects. Returns one `{ materials, atlasTextures }` per bin.
+async function atlasMaterialGroup(doc, group, validMaps, canonicalMap, layout, opts) {
+  const { formats, dilate, ...shared } = opts;
   const canonicalResult = await atlasMap(doc, {
+    ...shared,
     map: canonicalMap,
-    maxSize,
-    padding,
-    texcoord,
-    format: formats[canonicalMap],
-    quality,
-    maxBins,
-    resizeMode,
-    resizeCeil,
-    sizeMode,
+    format: mapSetting(formats, canonicalMap),
     remapUVs: true,
-    reuseRects: null,
+    reuseBins: null,
+    dilate: mapSetting(dilate, canonicalMap) ?? mapSetting(DEFAULT_DILATION, canonicalMap),
+    // Rects are shared by every map, so sharing one requires matching factors in all of them.
+    factorMaps: validMaps,
+    materials: group.materials,
+    renderState: group.label,
   });
+  if (!canonicalResult) return [];
   layout.push(canonicalResult.layoutInfo);
-  if (canonicalResult.atlasTexRefs?.length) {
-    atlasTextures[canonicalMap] = canonicalResult.atlasTexRefs[canonicalResult.atlasTexRefs.length - 1];
-  }
-
-  const canonicalRects = canonicalResult.layoutInfo.atlases[0]?.rects || [];
-  const canonicalSize = canonicalResult.layoutInfo.atlases[0]
-    ? { width: canonicalResult.layoutInfo.atlases[0].width, height: canonicalResult.layoutInfo.atlases[0].height }
-    : null;
+  const bins = canonicalResult.atlasTexRefs.map((tex, i) => ({
+    materials: canonicalResult.binMaterials[i],
+    atlasTextures: { [canonicalMap]: tex },
+  }));
+  const reuseBins = canonicalResult.binPlan;
 
-  // 2) For remaining maps, reuse canonical rects; do NOT remap UVs again.
+  // For remaining maps, reuse canonical rects and bins; do NOT remap UVs again.
   for (const map of validMaps) {
     if (map === canonicalMap) continue;
-    const { layoutInfo, atlasTexRefs } = await atlasMap(doc, {
+    const result = await atlasMap(doc, {
+      ...shared,
       map,
-      maxSize,
-      padding,
-      texcoord,
-      format: formats[map],
-      quality,
-      maxBins,
-      resizeMode,
-      sizeMode,
-      reuseRects: { rects: canonicalRects, size: canonicalSize },
+      format: mapSetting(formats, map),
+      reuseBins,
       remapUVs: false,
-      resizeCeil,
+      dilate: mapSetting(dilate, map) ?? mapSetting(DEFAULT_DILATION, map),
+      materials: group.materials,
+      renderState: group.label,
     });
+    if (!result) continue;
+    const { layoutInfo, atlasTexRefs } = result;
     if (layoutInfo) layout.push(layoutInfo);
-    if (atlasTexRefs?.length) {
-      atlasTextures[map] = atlasTexRefs[atlasTexRefs.length - 1];
+    atlasTexRefs.forEach((tex, i) => {
+      bins[i].atlasTextures[map] = tex;
+    });
+  }
+  return bins;
+}
+
+// Fold byte-identical images into one texture, then (unless `materials` is false) materials left
+// with identical parameters into one material, so each shared source gets a single atlas rect.
+// Returns the textures that absorbed copies with `{ count, bytes }` saved, and the number of
+// materials folded.
+function dedupeTexturesAndMaterials(doc, { materials: foldMaterials = true } = {}) {
+  const root = doc.getRoot();
+  const byHash = new Map();
+  const textures = new Map();
+  let bytes = 0;
+  for (const tex of root.listTextures()) {
+    const image = tex.getImage();
+    if (!image) continue;
+    const hash = `${tex.getMimeType()}:${createHash('sha1').update(image).digest('hex')}`;
+    const kept = byHash.get(hash);
+    if (!kept) {
+      byHash.set(hash, tex);
+      continue;
+    }
+    replaceProperty(tex, kept);
+    const folded = textures.get(kept) || { count: 0, bytes: 0 };
+    folded.count += 1;
+    folded.bytes += image.byteLength;
+    textures.set(kept, folded);
+    bytes += image.byteLength;
+  }
+
+  const unique = [];
+  const ignoreName = new Set(['name']);
+  let materials = 0;
+  for (const mat of foldMaterials ? root.listMaterials() : []) {
+    const kept = unique.find((m) => m.equals(mat, ignoreName));
+    if (!kept) {
+      unique.push(mat);
+      continue;
     }
+    replaceProperty(mat, kept);
+    materials += 1;
+  }
+
+  const copies = [...textures.values()].reduce((n, t) => n + t.count, 0);
+  if (copies || materials) {
+    console.log(`[atlasgen] Deduplicated ${copies} texture(s) (${bytes} bytes) and ${materials} material(s).`);
   }
+  return { textures, materials };
+}
+
+function replaceProperty(prev, next) {
+  for (const parent of prev.listParents()) {
+    if (parent.propertyType !== 'Root') parent.swap(prev, next);
+  }
+  prev.dispose();
+}
 
-  return { layout, atlasTextures };
+// Parse a JSON or YAML sizing rules file: an object keyed by material or texture name. Keys accept
+// * and ? globs and an optional `material:` / `texture:` prefix; each value sets any of `size`,
+// `minSize`, `maxSize` (px), `priority` (downscale weight, default 1) and `neverDownscale`. Later
+// matching rules override earlier ones field by field.
+export function parseSizingRules(text, source = 'sizing rules') {
+  let parsed;
+  try {
+    parsed = parseYaml(text || '');
+  } catch (err) {
+    throw new Error(`Could not parse ${source}: ${err.message}`);
+  }
+  if (parsed == null) return [];
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${source} must map material or texture names to sizing rules.`);
+  }
+  return Object.entries(parsed).map(([key, value]) => {
+    const [, scope = 'any', pattern] = key.match(/^(?:(material|texture):)?(.*)$/);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Sizing rule "${key}" in ${source} must be an object.`);
+    }
+    const rule = { label: `"${key}"`, scope, pattern: globToRegExp(pattern) };
+    for (const [field, v] of Object.entries(value)) {
+      if (field === 'neverDownscale') {
+        if (typeof v !== 'boolean') throw new Error(`Sizing rule "${key}": neverDownscale must be true or false.`);
+        rule.neverDownscale = v;
+      } else if (SIZING_RULE_FIELDS.includes(field)) {
+        if (!(typeof v === 'number' && v > 0)) throw new Error(`Sizing rule "${key}": ${field} must be a positive number.`);
+        rule[field] = field === 'priority' ? v : Math.round(v);
+      } else {
+        throw new Error(`Sizing rule "${key}": unknown field "${field}".`);
+      }
+    }
+    return rule;
+  });
 }
 
 export function pruneUnusedTextures(doc) {
   const keep = new Set();
   for (const mat of doc.getRoot().listMaterials()) {
-    const t0 = mat.getBaseColorTexture();
-    const t1 = mat.getNormalTexture();
-    const t2 = mat.getMetallicRoughnessTexture();
-    const t3 = mat.getOcclusionTexture();
-    const t4 = mat.getEmissiveTexture();
-    [t0, t1, t2, t3, t4].forEach((t) => t && keep.add(t));
+    listMaterialTextureSlots(mat).forEach(([t]) => t && keep.add(t));
   }
   const textures = doc.getRoot().listTextures();
   textures.forEach((t) => {
@@ -99,50 +580,150 @@ export function pruneUnusedTextures(doc) {
   });
 }
 
-export function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
+// Atlas-only finish: keep every mesh, node and material, and point each atlased slot at the remapped
+// TEXCOORD_0. Factors are already baked into the atlas texels; render state is untouched.
+export function rewireMaterialsToAtlas(doc, atlasTextures = {}, opts = {}) {
+  const { keepMaterials = [], atlasGroups = [] } = opts;
+  const keep = new Set(keepMaterials);
+  const atlasSet = new Set(
+    [atlasTextures, ...atlasGroups.map((g) => g.atlasTextures)].flatMap((textures) => Object.values(textures || {}))
+  );
+  let rewired = 0;
+  for (const mat of doc.getRoot().listMaterials()) {
+    if (keep.has(mat)) continue;
+    let touched = false;
+    for (const [tex, info] of listMaterialTextureSlots(mat)) {
+      if (!tex || !info || !atlasSet.has(tex)) continue;
+      info.setTexCoord(0);
+      info.setExtension('KHR_texture_transform', null);
+      touched = true;
+    }
+    if (touched) rewired++;
+  }
+  console.log(`[atlasgen] Rewired ${rewired} material(s) to the atlas; scene graph left intact.`);
+}
+
+export function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}, opts = {}) {
+  const { keepMaterials = [], atlasGroups = [], mode = 'flatten' } = opts;
+  if (!COLLAPSE_MODES.includes(mode)) {
+    throw new Error(`Unknown collapse mode "${mode}" (expected ${COLLAPSE_MODES.join(' | ')}).`);
+  }
   const root = doc.getRoot();
   const scenes = root.listScenes();
   const scene = scenes[0] || root.createScene('Scene');
 
-  // Create a single material wired to atlas textures.
-  const mat = doc.createMaterial('Atlas_Merged');
-  if (atlasTextures.basecolor) mat.setBaseColorTexture(atlasTextures.basecolor);
-  if (atlasTextures.normal) mat.setNormalTexture(atlasTextures.normal);
-  if (atlasTextures.orm) {
-    mat.setMetallicRoughnessTexture(atlasTextures.orm);
-    mat.setOcclusionTexture(atlasTextures.orm);
+  // Materials kept out of the atlas (e.g. tiling UVs) survive as-is.
+  const keep = new Set(keepMaterials);
+  const merged = root.listMaterials().filter((m) => !keep.has(m));
+
+  // One merged material per render state (alphaMode/alphaCutoff/doubleSided) and atlas bin, so
+  // opaque, cutout and blended surfaces keep their own state and every primitive samples the bin
+  // holding its rect, at the cost of one draw call each. Materials without a rect (no atlased map
+  // had a texture in their group) would sample unrelated texels, so they survive as-is too.
+  const atlased = new Set(atlasGroups.flatMap((g) => g.materials));
+  const used = new Set();
+  let rectless = 0;
+  for (const mesh of root.listMeshes()) {
+    for (const prim of mesh.listPrimitives()) {
+      const src = prim.getMaterial();
+      if (!src || keep.has(src)) continue;
+      if (atlased.has(src)) {
+        used.add(src);
+      } else {
+        keep.add(src);
+        rectless += 1;
+      }
+    }
+  }
+  if (rectless) {
+    console.log(`[atlasgen] ${rectless} material(s) have no atlas rect and keep their own material.`);
+  }
+  const groups = groupByRenderState([...used]).flatMap((group) => splitByAtlasBin(group, atlasGroups));
+  const mergedByMaterial = new Map();
+  for (const group of groups) {
+    const sources = group.materials.filter(Boolean);
+    const { atlasGroup } = group;
+    const mat = doc.createMaterial(groups.length > 1 ? `Atlas_Merged_${group.label}` : 'Atlas_Merged');
+    wireMergedMaterial(doc, mat, atlasGroup?.atlasTextures || atlasTextures, sources, atlasGroup?.atlasMaterials || merged);
+    mat
+      .setAlphaMode(group.state.alphaMode)
+      .setAlphaCutoff(group.state.alphaCutoff)
+      .setDoubleSided(group.state.doubleSided);
+    for (const src of group.materials) mergedByMaterial.set(src, mat);
+  }
+  if (groups.length > 1) {
+    console.log(
+      `[atlasgen] Collapsing into ${groups.length} materials by render state and bin: ${groups.map((g) => g.label).join(', ')}.`
+    );
   }
-  if (atlasTextures.emissive) mat.setEmissiveTexture(atlasTextures.emissive);
+  // Primitives without a material keep rendering with the glTF defaults.
+  const resolveMaterial = (prim) => {
+    const src = prim.getMaterial();
+    return !src || keep.has(src) ? src : mergedByMaterial.get(src);
+  };
 
   // Bake node transforms into geometry and merge all primitives into one mesh.
   const mergedMesh = doc.createMesh('Merged');
   const newNode = doc.createNode('MergedNode').setMesh(mergedMesh);
+  const skinning = mode === 'skinned' ? planSkinnedCollapse(doc) : null;
+  const hierarchy = mode === 'hierarchy' ? planHierarchyCollapse(doc) : null;
+  // `preserved` nodes keep their meshes; other `kept` nodes survive emptied, as skeleton or parents.
+  const preserved = hierarchy ? hierarchy.preserved : new Set();
+  const kept = skinning ? skinning.kept : new Set([...preserved, ...(hierarchy?.ancestors || [])]);
 
-  // Process children from all scenes, preserve transforms.
+  // Process children from all scenes, preserve transforms. Skeleton nodes stay in place.
+  const firstScene = scenes[0] || scene;
   for (const sc of scenes) {
     const sceneChildren = sc.listChildren().slice();
     for (const child of sceneChildren) {
-      bakeNodeRecursive(child, mergedMesh, mat, doc);
+      bakeNodeRecursive(child, mergedMesh, resolveMaterial, doc, undefined, skinning, preserved);
+      if (kept.has(child) && sc === firstScene) continue;
       sc.removeChild(child);
+      if (kept.has(child)) firstScene.addChild(child);
     }
   }
 
-  // Attach merged node.
+  // Attach merged node(s).
   scene.addChild(newNode);
+  const skinnedOutputs = skinning ? finalizeSkinnedCollapse(doc, skinning) : [];
+  for (const output of skinnedOutputs) scene.addChild(output.node);
+
+  // Preserved meshes stay on their nodes, wired to the merged materials.
+  const preservedMeshes = new Set([...preserved].map((node) => node.getMesh()).filter(Boolean));
+  for (const mesh of preservedMeshes) {
+    for (const prim of mesh.listPrimitives()) prim.setMaterial(resolveMaterial(prim));
+  }
+  if (hierarchy?.animated.size) {
+    console.log(
+      `[atlasgen] Keeping ${hierarchy.animated.size} animated node(s) and ${preservedMeshes.size} mesh(es) in the hierarchy.`
+    );
+  }
 
-  // Dispose old meshes/materials/nodes not referenced.
+  // Dispose old meshes/materials/nodes/skins not referenced.
+  const mergedMeshes = new Set([mergedMesh, ...skinnedOutputs.map((o) => o.mesh), ...preservedMeshes]);
   for (const mesh of root.listMeshes()) {
-    if (mesh === mergedMesh) continue;
+    if (mergedMeshes.has(mesh)) continue;
     mesh.dispose();
   }
+  const mergedMaterials = new Set(mergedByMaterial.values());
   for (const m of root.listMaterials()) {
-    if (m === mat) continue;
+    if (mergedMaterials.has(m) || keep.has(m)) continue;
     m.dispose();
   }
+  const mergedNodes = new Set([newNode, ...skinnedOutputs.map((o) => o.node)]);
   for (const node of root.listNodes()) {
-    if (node === newNode) continue;
+    if (mergedNodes.has(node) || preserved.has(node)) continue;
+    if (kept.has(node)) {
+      node.setMesh(null).setSkin(null);
+      continue;
+    }
     node.dispose();
   }
+  const mergedSkins = new Set([...skinnedOutputs.map((o) => o.skin), ...[...preserved].map((n) => n.getSkin())]);
+  for (const skin of root.listSkins()) {
+    if (!mergedSkins.has(skin)) skin.dispose();
+  }
+  const droppedAnimations = pruneOrphanedAnimationChannels(doc);
 
   // Keep only the first scene; drop others.
   scenes.forEach((sc, idx) => {
@@ -150,13 +731,275 @@ export function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
     sc.dispose();
   });
   // Ensure first scene has the merged node.
-  const firstScene = scenes[0] || scene;
   if (!firstScene.listChildren().includes(newNode)) {
     firstScene.addChild(newNode);
   }
 
-  // Collapse all primitives on the merged mesh into a single primitive to minimize draw calls.
+  // Collapse primitives sharing a material into a single primitive to minimize draw calls.
   mergePrimitivesIntoOne(mergedMesh, doc);
+  for (const output of skinnedOutputs) mergePrimitivesIntoOne(output.mesh, doc);
+  if (!mergedMesh.listPrimitives().length && (skinnedOutputs.length || preservedMeshes.size)) {
+    // Everything was skinned or animated; no static remainder to keep.
+    newNode.dispose();
+    mergedMesh.dispose();
+  }
+  return { droppedAnimations };
+}
+
+// Animated nodes and their subtrees are preserved as-is, as are skinned meshes bound to a preserved
+// joint (with all of that skin's joints). Their ancestors survive emptied so parent transforms hold.
+function planHierarchyCollapse(doc) {
+  const root = doc.getRoot();
+  const animated = new Set();
+  for (const anim of root.listAnimations()) {
+    for (const channel of anim.listChannels()) {
+      if (channel.getTargetNode()) animated.add(channel.getTargetNode());
+    }
+  }
+  const preserved = new Set();
+  const preserve = (node) => {
+    if (preserved.has(node)) return;
+    preserved.add(node);
+    node.listChildren().forEach(preserve);
+  };
+  animated.forEach(preserve);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const node of root.listNodes()) {
+      const skin = node.getSkin();
+      if (!skin || preserved.has(node) || !skin.listJoints().some((j) => preserved.has(j))) continue;
+      preserve(node);
+      skin.listJoints().forEach(preserve);
+      grew = true;
+    }
+  }
+  const ancestors = new Set();
+  for (const node of preserved) {
+    for (let parent = node.getParentNode(); parent && !preserved.has(parent); parent = parent.getParentNode()) {
+      ancestors.add(parent);
+    }
+  }
+  return { animated, preserved, ancestors };
+}
+
+// Group skins that share joint nodes into one skeleton each. A skin joins a group when every shared
+// joint's inverse bind matrix differs from the group's by the same transform C (a different bind
+// shape); its vertices are then re-bound through C and its other joints rebased by C⁻¹.
+function planSkinnedCollapse(doc) {
+  const groups = [];
+  const bySkin = new Map();
+  for (const skin of doc.getRoot().listSkins()) {
+    const joints = skin.listJoints();
+    const accessor = skin.getInverseBindMatrices();
+    const ibms = joints.map((_, i) => (accessor ? Float32Array.from(accessor.getElement(i, [])) : identityMat4()));
+    let binding = null;
+    for (const group of groups) {
+      binding = bindSkinToGroup(group, joints, ibms);
+      if (binding) break;
+      if (joints.some((j) => group.index.has(j))) {
+        console.warn(
+          `[atlasgen] Skin "${skin.getName() || '(unnamed)'}" binds shared joints differently; keeping it as a separate skinned mesh.`
+        );
+      }
+    }
+    if (!binding) {
+      const group = { joints: [], ibms: [], index: new Map(), mesh: doc.createMesh(`MergedSkinned_${groups.length}`) };
+      groups.push(group);
+      binding = bindSkinToGroup(group, joints, ibms);
+    }
+    bySkin.set(skin, binding);
+  }
+
+  // Joints and their ancestors are the skeleton; animations target them, so they survive.
+  const kept = new Set();
+  const keptGroup = new Map();
+  for (const group of groups) {
+    for (const joint of group.joints) {
+      for (let node = joint; node; node = node.getParentNode()) {
+        kept.add(node);
+        if (!keptGroup.has(node)) keptGroup.set(node, group);
+      }
+    }
+  }
+  return { groups, bySkin, kept, keptGroup };
+}
+
+function bindSkinToGroup(group, joints, ibms) {
+  const shared = joints.map((j, i) => [group.index.get(j), i]).filter(([g]) => g !== undefined);
+  if (group.joints.length && !shared.length) return null;
+  let correction = identityMat4();
+  if (shared.length) {
+    const [g0, i0] = shared[0];
+    correction = multiplyMat4(invertMat4(group.ibms[g0]), ibms[i0]);
+    if (!shared.every(([g, i]) => approxEqualMat4(multiplyMat4(group.ibms[g], correction), ibms[i]))) return null;
+  }
+  const inverseCorrection = invertMat4(correction);
+  const remap = joints.map((joint, i) =>
+    group.index.has(joint) ? group.index.get(joint) : addSkinJoint(group, joint, multiplyMat4(ibms[i], inverseCorrection))
+  );
+  return { group, correction, remap };
+}
+
+function addSkinJoint(group, joint, ibm) {
+  group.index.set(joint, group.joints.length);
+  group.joints.push(joint);
+  group.ibms.push(ibm);
+  return group.joints.length - 1;
+}
+
+// Where a mesh node's primitives go in skinned mode: its skin's group, or — for a static mesh under a
+// skeleton node — rigidly bound to that nearest skeleton node so it follows the animation.
+function skinnedTargetFor(node, skinning) {
+  const skin = node.getSkin();
+  if (skin && skinning.bySkin.has(skin)) {
+    const { group, correction, remap } = skinning.bySkin.get(skin);
+    return { group, matrix: correction, remap };
+  }
+  let anchor = node;
+  while (anchor && !skinning.kept.has(anchor)) anchor = anchor.getParentNode();
+  if (!anchor) return null;
+  const group = skinning.keptGroup.get(anchor);
+  const anchorWorld = Float32Array.from(anchor.getWorldMatrix());
+  // Nodes that only parent joints become joints themselves, bound at their current pose.
+  const joint = group.index.has(anchor) ? group.index.get(anchor) : addSkinJoint(group, anchor, invertMat4(anchorWorld));
+  // Skinned position = world(anchor) * ibm * v', and we want world(anchor) * rel * v.
+  const rel = multiplyMat4(invertMat4(anchorWorld), Float32Array.from(node.getWorldMatrix()));
+  return { group, matrix: multiplyMat4(invertMat4(group.ibms[joint]), rel), joint };
+}
+
+// Point a baked primitive's JOINTS_n at the group's joint list (or bind it rigidly to one joint).
+function bindPrimitiveToSkin(prim, target, doc) {
+  const count = prim.getAttribute('POSITION').getCount();
+  if (target.remap) {
+    for (const semantic of prim.listSemantics()) {
+      if (!semantic.startsWith('JOINTS_')) continue;
+      const src = prim.getAttribute(semantic).getArray();
+      const out = new Uint16Array(src.length);
+      for (let i = 0; i < src.length; i++) out[i] = target.remap[src[i]] ?? 0;
+      prim.setAttribute(semantic, doc.createAccessor().setType('VEC4').setArray(out));
+    }
+    return;
+  }
+  const joints = new Uint16Array(count * 4);
+  const weights = new Float32Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    joints[i * 4] = target.joint;
+    weights[i * 4] = 1;
+  }
+  prim.setAttribute('JOINTS_0', doc.createAccessor().setType('VEC4').setArray(joints));
+  prim.setAttribute('WEIGHTS_0', doc.createAccessor().setType('VEC4').setArray(weights));
+}
+
+// One skinned node/mesh/skin per skeleton group that received primitives.
+function finalizeSkinnedCollapse(doc, skinning) {
+  const outputs = [];
+  const used = skinning.groups.filter((group) => group.mesh.listPrimitives().length);
+  for (const group of skinning.groups) {
+    if (!used.includes(group)) {
+      group.mesh.dispose();
+      continue;
+    }
+    const suffix = used.length > 1 ? `_${outputs.length}` : '';
+    const ibmArray = new Float32Array(group.ibms.length * 16);
+    group.ibms.forEach((ibm, i) => ibmArray.set(ibm, i * 16));
+    const skin = doc
+      .createSkin(`MergedSkin${suffix}`)
+      .setInverseBindMatrices(doc.createAccessor().setType('MAT4').setArray(ibmArray));
+    group.joints.forEach((joint) => skin.addJoint(joint));
+    group.mesh.setName(`MergedSkinned${suffix}`);
+    // The skinned node's own transform is ignored by glTF; keep it at the scene root.
+    const node = doc.createNode(`MergedSkinnedNode${suffix}`).setMesh(group.mesh).setSkin(skin);
+    outputs.push({ node, mesh: group.mesh, skin });
+  }
+  if (outputs.length) {
+    const joints = outputs.reduce((n, o) => n + o.skin.listJoints().length, 0);
+    console.log(`[atlasgen] Collapsed into ${outputs.length} skinned mesh(es) with ${joints} joint(s).`);
+  }
+  return outputs;
+}
+
+// Drop animation channels whose target node was collapsed away, and anything left empty. Returns
+// `{ name, channels, removed }` per affected animation.
+function pruneOrphanedAnimationChannels(doc) {
+  const dropped = [];
+  for (const anim of doc.getRoot().listAnimations()) {
+    const orphaned = anim.listChannels().filter((channel) => !channel.getTargetNode());
+    if (!orphaned.length) continue;
+    orphaned.forEach((channel) => channel.dispose());
+    const usedSamplers = new Set(anim.listChannels().map((c) => c.getSampler()));
+    for (const sampler of anim.listSamplers()) {
+      if (!usedSamplers.has(sampler)) sampler.dispose();
+    }
+    const removed = !anim.listChannels().length;
+    dropped.push({ name: anim.getName() || '(unnamed)', channels: orphaned.length, removed });
+    if (removed) anim.dispose();
+  }
+  return dropped;
+}
+
+// Wire a merged material to atlas textures. Source factors are baked into the atlas texels, so the
+// merged material uses identity factors; `scaleSources` are the materials that shared the atlas.
+function wireMergedMaterial(doc, mat, atlasTextures, sources, scaleSources) {
+  if (atlasTextures.basecolor) mat.setBaseColorTexture(atlasTextures.basecolor);
+  if (atlasTextures.normal) mat.setNormalTexture(atlasTextures.normal);
+  if (atlasTextures.orm) {
+    mat.setMetallicRoughnessTexture(atlasTextures.orm);
+    mat.setOcclusionTexture(atlasTextures.orm);
+  }
+  if (atlasTextures.emissive) mat.setEmissiveTexture(atlasTextures.emissive).setEmissiveFactor([1, 1, 1]);
+  applyMaterialExtensions(doc, mat, sources, atlasTextures, scaleSources);
+  setMaterialWrap(mat, TextureInfo.WrapMode.CLAMP_TO_EDGE);
+}
+
+// Partition materials by the state a single draw call cannot vary. `null` (no material) renders
+// with the glTF defaults.
+function groupByRenderState(materials) {
+  const order = { OPAQUE: 0, MASK: 1, BLEND: 2 };
+  const groups = new Map();
+  for (const mat of materials) {
+    const state = renderStateOf(mat);
+    const label = [
+      state.alphaMode,
+      ...(state.alphaMode === 'MASK' ? [String(state.alphaCutoff)] : []),
+      ...(state.doubleSided ? ['DoubleSided'] : []),
+    ].join('_');
+    if (!groups.has(label)) groups.set(label, { label, state, materials: [] });
+    groups.get(label).materials.push(mat);
+  }
+  return [...groups.values()].sort(
+    (a, b) => order[a.state.alphaMode] - order[b.state.alphaMode] || a.label.localeCompare(b.label)
+  );
+}
+
+// Split a render-state group by the atlas bin each material's rect landed in. Every material here
+// has a rect; rect-less ones are kept out of the merge by the caller.
+function splitByAtlasBin(group, atlasGroups) {
+  const candidates = atlasGroups.filter((g) => g.renderState === null || g.renderState === group.label);
+  const byBin = new Map();
+  for (const mat of group.materials) {
+    const atlasGroup = candidates.find((g) => g.materials.includes(mat));
+    if (!byBin.has(atlasGroup)) byBin.set(atlasGroup, []);
+    byBin.get(atlasGroup).push(mat);
+  }
+  return [...byBin]
+    .sort(([a], [b]) => (a?.bin ?? 0) - (b?.bin ?? 0))
+    .map(([atlasGroup, materials]) => ({
+      ...group,
+      label: candidates.length > 1 ? `${group.label}_Bin${atlasGroup.bin}` : group.label,
+      materials,
+      atlasGroup,
+    }));
+}
+
+function renderStateOf(mat) {
+  const alphaMode = mat ? mat.getAlphaMode() : 'OPAQUE';
+  return {
+    alphaMode,
+    // The cutoff only matters (and only splits groups) in MASK mode.
+    alphaCutoff: alphaMode === 'MASK' ? mat.getAlphaCutoff() : 0.5,
+    doubleSided: mat ? mat.getDoubleSided() : false,
+  };
 }
 
 export function mergeAllBuffers(doc) {
@@ -192,7 +1035,8 @@ export function mergeAllBuffers(doc) {
   });
 }
 
-function bakeNodeRecursive(node, mergedMesh, material, doc, parentMatrix) {
+function bakeNodeRecursive(node, mergedMesh, resolveMaterial, doc, parentMatrix, skinning = null, preserved = null) {
+  if (preserved?.has(node)) return;
   const local = node.getMatrix
     ? node.getMatrix()
     : null;
@@ -200,24 +1044,44 @@ function bakeNodeRecursive(node, mergedMesh, material, doc, parentMatrix) {
 
   const mesh = node.getMesh ? node.getMesh() : null;
   if (mesh) {
+    const target = skinning ? skinnedTargetFor(node, skinning) : null;
+    if (Math.abs(determinant3(target ? target.matrix : world)) <= SINGULAR_EPSILON) {
+      console.warn(
+        `[atlasgen] Node "${node.getName()}" has a singular transform (zero scale); its normals follow the flattened surface.`
+      );
+    }
     for (const prim of mesh.listPrimitives()) {
-      const bakedPrim = bakePrimitiveTransform(prim, world, doc);
-      bakedPrim.setMaterial(material);
-      mergedMesh.addPrimitive(bakedPrim);
+      const bakedPrim = bakePrimitiveTransform(prim, target ? target.matrix : world, doc);
+      bakedPrim.setMaterial(resolveMaterial(prim));
+      nameMorphTargets(bakedPrim, mesh, node);
+      if (target) {
+        bindPrimitiveToSkin(bakedPrim, target, doc);
+        target.group.mesh.addPrimitive(bakedPrim);
+      } else {
+        mergedMesh.addPrimitive(bakedPrim);
+      }
     }
   }
 
   for (const child of node.listChildren ? node.listChildren() : []) {
-    bakeNodeRecursive(child, mergedMesh, material, doc, world);
+    bakeNodeRecursive(child, mergedMesh, resolveMaterial, doc, world, skinning, preserved);
   }
 }
 
 function bakePrimitiveTransform(prim, matrix, doc) {
   const out = doc.createPrimitive();
 
-  // Indices
+  // Indices. Strips, fans and line strips/loops are unrolled into lists so baked primitives can be
+  // concatenated; a mirroring matrix turns faces inside out unless the winding flips with it.
   const idx = prim.getIndices();
-  if (idx) out.setIndices(idx);
+  const list = listPrimitiveIndices(prim);
+  out.setMode(list.mode);
+  let indices = list.indices;
+  if (list.mode === Primitive.Mode.TRIANGLES && determinant3(matrix) < -SINGULAR_EPSILON) {
+    indices = flipTriangleWinding(indices || Array.from({ length: prim.getAttribute('POSITION').getCount() }, (_, i) => i));
+  }
+  if (idx && indices === idx.getArray()) out.setIndices(idx);
+  else if (indices) out.setIndices(createIndexAccessor(indices, doc));
 
   // Attributes
   for (const semantic of prim.listSemantics()) {
@@ -237,16 +1101,112 @@ function bakePrimitiveTransform(prim, matrix, doc) {
     }
   }
 
-  // Targets (morphs) are passed through without baking.
-  prim.listTargets().forEach((target, idx) => {
-    out.setTarget(idx, target);
-  });
+  // Morph target deltas are directions: positions and tangents follow the linear part of the matrix,
+  // normals the normal matrix (not renormalized, they are offsets).
+  const linear = linearPart(matrix);
+  const normalMat = computeNormalMatrix(matrix);
+  for (const target of prim.listTargets()) {
+    const baked = doc.createPrimitiveTarget(target.getName());
+    for (const semantic of target.listSemantics()) {
+      const accessor = target.getAttribute(semantic);
+      if (semantic === 'POSITION') {
+        baked.setAttribute(semantic, transformDeltaAccessor(accessor, linear, doc));
+      } else if (semantic === 'TANGENT') {
+        baked.setAttribute(semantic, transformDeltaAccessor(accessor, linear, doc));
+      } else if (semantic === 'NORMAL') {
+        baked.setAttribute(semantic, transformDeltaAccessor(accessor, normalMat, doc));
+      } else {
+        baked.setAttribute(semantic, accessor);
+      }
+    }
+    out.addTarget(baked);
+  }
 
   return out;
 }
 
+// A primitive's indices unrolled into its list mode: strips and fans become TRIANGLES (dropping the
+// degenerate triangles strips use as joints), line strips and loops become LINES. List primitives
+// return their own index array, or null when they are not indexed.
+function listPrimitiveIndices(prim) {
+  const mode = prim.getMode();
+  const src = prim.getIndices()?.getArray() || null;
+  const count = src ? src.length : prim.getAttribute('POSITION').getCount();
+  const at = (i) => (src ? src[i] : i);
+  const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN, LINES, LINE_STRIP, LINE_LOOP } = Primitive.Mode;
+  const out = [];
+  if (mode === TRIANGLE_STRIP) {
+    // Odd triangles swap their last two vertices to keep the strip's winding.
+    for (let i = 0; i + 2 < count; i++) {
+      const [a, b, c] = i % 2 ? [at(i), at(i + 2), at(i + 1)] : [at(i), at(i + 1), at(i + 2)];
+      if (a !== b && b !== c && a !== c) out.push(a, b, c);
+    }
+    return { mode: TRIANGLES, indices: out };
+  }
+  if (mode === TRIANGLE_FAN) {
+    for (let i = 1; i + 1 < count; i++) out.push(at(0), at(i), at(i + 1));
+    return { mode: TRIANGLES, indices: out };
+  }
+  if (mode === LINE_STRIP || mode === LINE_LOOP) {
+    for (let i = 0; i + 1 < count; i++) out.push(at(i), at(i + 1));
+    if (mode === LINE_LOOP && count > 2) out.push(at(count - 1), at(0));
+    return { mode: LINES, indices: out };
+  }
+  return { mode, indices: src };
+}
+
+function listModeOf(mode) {
+  const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN, LINES, LINE_STRIP, LINE_LOOP } = Primitive.Mode;
+  if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) return TRIANGLES;
+  if (mode === LINE_STRIP || mode === LINE_LOOP) return LINES;
+  return mode;
+}
+
+// The same triangle list with every triangle's winding reversed.
+function flipTriangleWinding(indices) {
+  const out = Array.from(indices);
+  for (let i = 0; i + 2 < out.length; i += 3) {
+    [out[i + 1], out[i + 2]] = [out[i + 2], out[i + 1]];
+  }
+  return out;
+}
+
+// Index accessor sized to the largest index it holds. 65535 is the primitive-restart value and
+// may not appear in a Uint16 index buffer.
+function createIndexAccessor(indices, doc) {
+  let max = 0;
+  for (let i = 0; i < indices.length; i++) if (indices[i] > max) max = indices[i];
+  const array = max >= 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+  return doc.createAccessor().setType('SCALAR').setArray(array);
+}
+
+function transformDeltaAccessor(accessor, m3, doc) {
+  const dst = new Float32Array(accessor.getCount() * 3);
+  const tmp = [];
+  for (let i = 0; i < accessor.getCount(); i++) {
+    dst.set(transformVector(m3, accessor.getElement(i, tmp)), i * 3);
+  }
+  return doc.createAccessor().setType('VEC3').setArray(dst);
+}
+
+function linearPart(m) {
+  return [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]];
+}
+
+// Name morph targets after the source mesh's `extras.targetNames` and remember their default
+// weight (node weights override mesh weights) for the merged mesh.
+function nameMorphTargets(prim, mesh, node) {
+  const names = mesh.getExtras()?.targetNames || [];
+  const weights = node.getWeights().length ? node.getWeights() : mesh.getWeights();
+  prim.listTargets().forEach((target, i) => {
+    // Unnamed targets are namespaced by mesh so unrelated meshes' targets do not merge by index.
+    if (!target.getName()) target.setName(names[i] ?? `${mesh.getName() || 'mesh'}_${i}`);
+    morphTargetWeights.set(target, weights[i] ?? 0);
+  });
+}
+
 function transformVec3Accessor(accessor, matrix, doc) {
-  const src = accessor.getArray();
+  const src = readFloatArray(accessor);
   const dst = new Float32Array(src.length);
   const tmp = [0, 0, 0];
   for (let i = 0; i < src.length; i += 3) {
@@ -262,15 +1222,19 @@ function transformVec3Accessor(accessor, matrix, doc) {
 }
 
 function transformNormalAccessor(accessor, matrix, doc) {
-  const src = accessor.getArray();
+  const src = readFloatArray(accessor);
   const dst = new Float32Array(src.length);
   const normalMat = computeNormalMatrix(matrix);
+  // A singular transform collapses normals lying in the flattened plane to zero length; they take
+  // the flattened surface's normal instead.
+  const fallback = isSingular(matrix) ? flattenedAxis(matrix, normalMat) : null;
   const tmp = [0, 0, 0];
   for (let i = 0; i < src.length; i += 3) {
     tmp[0] = src[i];
     tmp[1] = src[i + 1];
     tmp[2] = src[i + 2];
-    const v = transformVector(normalMat, tmp);
+    let v = transformVector(normalMat, tmp);
+    if (fallback && isNearZero(v, normalMat)) v = [...fallback];
     normalizeInPlace(v);
     dst[i] = v[0];
     dst[i + 1] = v[1];
@@ -280,24 +1244,43 @@ function transformNormalAccessor(accessor, matrix, doc) {
 }
 
 function transformTangentAccessor(accessor, matrix, doc) {
-  const src = accessor.getArray();
+  const src = readFloatArray(accessor);
   const dst = new Float32Array(src.length);
-  const normalMat = computeNormalMatrix(matrix);
+  // Tangents lie in the surface, so they follow the model matrix rather than the normal matrix.
+  const linear = linearPart(matrix);
+  // Mirroring swaps the bitangent's side, so the handedness sign flips with it.
+  const handedness = determinant3(matrix) < -SINGULAR_EPSILON ? -1 : 1;
+  // Tangents along a flattened axis collapse to zero; any direction in the flattened surface will do.
+  const fallback = isSingular(matrix) ? perpendicularTo(flattenedAxis(matrix, computeNormalMatrix(matrix))) : null;
   const tmp = [0, 0, 0];
   for (let i = 0; i < src.length; i += 4) {
     tmp[0] = src[i];
     tmp[1] = src[i + 1];
     tmp[2] = src[i + 2];
-    const v = transformVector(normalMat, tmp);
+    let v = transformVector(linear, tmp);
+    if (fallback && isNearZero(v, linear)) v = [...fallback];
     normalizeInPlace(v);
     dst[i] = v[0];
     dst[i + 1] = v[1];
     dst[i + 2] = v[2];
-    dst[i + 3] = src[i + 3]; // preserve handedness
+    dst[i + 3] = src[i + 3] * handedness;
   }
   return doc.createAccessor().setType('VEC4').setArray(dst);
 }
 
+// A copy of an accessor's values as floats. Normalized integers (KHR_mesh_quantization UVs, normals,
+// colors) are decoded to their unit range; other integer attributes keep their values, which the
+// node transform scales.
+function readFloatArray(accessor) {
+  const array = accessor.getArray();
+  if (array instanceof Float32Array) return new Float32Array(array);
+  const size = accessor.getElementSize();
+  const out = new Float32Array(accessor.getCount() * size);
+  const el = [];
+  for (let i = 0; i < accessor.getCount(); i++) out.set(accessor.getElement(i, el), i * size);
+  return out;
+}
+
 function transformPoint(m, v) {
   const x = v[0], y = v[1], z = v[2];
   const rx = m[0] * x + m[4] * y + m[8] * z + m[12];
@@ -329,9 +1312,10 @@ function computeNormalMatrix(m) {
   const b11 = -a22 * a10 + a12 * a20;
   const b21 = a21 * a10 - a11 * a20;
 
-  let det = a00 * b01 + a01 * b11 + a02 * b21;
-  if (!det) det = 1;
-  const invDet = 1.0 / det;
+  const det = a00 * b01 + a01 * b11 + a02 * b21;
+  // A singular matrix (an axis scaled to zero) has no inverse, but its cofactor matrix still maps
+  // normals onto the flattened surface's normal; use it unscaled, as callers renormalize.
+  const invDet = Math.abs(det) > SINGULAR_EPSILON ? 1.0 / det : 1;
 
   // Inverse
   const m00 = b01 * invDet;
@@ -348,6 +1332,44 @@ function computeNormalMatrix(m) {
   return [m00, m10, m20, m01, m11, m21, m02, m12, m22];
 }
 
+function isSingular(m) {
+  return Math.abs(determinant3(m)) <= SINGULAR_EPSILON;
+}
+
+// Whether `v` (the image of a unit vector under `m3`) is zero up to float noise.
+function isNearZero(v, m3) {
+  return Math.hypot(v[0], v[1], v[2]) <= 1e-6 * Math.max(...m3.map(Math.abs));
+}
+
+// Unit normal of the surface a singular transform flattens geometry onto: the cofactor matrix's
+// column space. When geometry collapses to a line (or a point), any direction across it.
+function flattenedAxis(m, normalMat) {
+  const columns = (m3) => [m3.slice(0, 3), m3.slice(3, 6), m3.slice(6, 9)];
+  const longest = (vs) => vs.reduce((best, v) => (Math.hypot(...v) > Math.hypot(...best) ? v : best));
+  let axis = longest(columns(normalMat));
+  if (Math.hypot(...axis) <= SINGULAR_EPSILON) axis = perpendicularTo(longest(columns(linearPart(m))));
+  normalizeInPlace(axis);
+  return axis;
+}
+
+// A unit vector perpendicular to `v` (+Z for a zero vector).
+function perpendicularTo(v) {
+  const helper = Math.abs(v[2]) < 0.9 * Math.hypot(...v) ? [0, 0, 1] : [1, 0, 0];
+  const out = [v[1] * helper[2] - v[2] * helper[1], v[2] * helper[0] - v[0] * helper[2], v[0] * helper[1] - v[1] * helper[0]];
+  if (Math.hypot(...out) <= SINGULAR_EPSILON) return [0, 0, 1];
+  normalizeInPlace(out);
+  return out;
+}
+
+// Determinant of a column-major 4x4's upper 3x3: negative for mirroring transforms.
+function determinant3(m) {
+  return (
+    m[0] * (m[5] * m[10] - m[9] * m[6]) -
+    m[4] * (m[1] * m[10] - m[9] * m[2]) +
+    m[8] * (m[1] * m[6] - m[5] * m[2])
+  );
+}
+
 function multiplyMat4(a, b) {
   // column-major glTF: out = a * b
   const out = new Float32Array(16);
@@ -363,6 +1385,38 @@ function multiplyMat4(a, b) {
   return out;
 }
 
+// General 4x4 inverse (column-major); identity for singular input.
+function invertMat4(m) {
+  const inv = new Float32Array(16);
+  inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+  inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+  inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+  inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+  inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+  inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+  inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+  inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+  inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+  inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+  inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+  inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+  inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+  inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+  inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+  inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+  const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+  if (!det) return identityMat4();
+  for (let i = 0; i < 16; i++) inv[i] /= det;
+  return inv;
+}
+
+function approxEqualMat4(a, b, tolerance = 1e-4) {
+  for (let i = 0; i < 16; i++) {
+    if (Math.abs(a[i] - b[i]) > tolerance * Math.max(1, Math.abs(a[i]), Math.abs(b[i]))) return false;
+  }
+  return true;
+}
+
 function normalizeInPlace(v) {
   const len = Math.hypot(v[0], v[1], v[2]) || 1;
   v[0] /= len;
@@ -386,11 +1440,27 @@ async function atlasMap(doc, opts) {
     resizeMode,
     resizeCeil,
     remapUVs = true,
-    reuseRects = null,
+    reuseBins = null, // canonical bin plan ({ rects, width, height }) to fill instead of packing
     densityAware = true,
     sizeMode = 'best-fill',
+    texelsPerMeter = 0,
+    sizingRules = [],
+    tilingPlan = new Map(),
+    dilate = 'gutter',
+    align = 1,
+    factorMaps = [map], // maps whose factors must match for materials to share a rect
+    materials = doc.getRoot().listMaterials(),
+    renderState = null, // label of the render-state group being atlased, if split
+    allowRotation = false,
+    atlasShape = 'square',
+    duplicates = new Map(), // texture -> { count, bytes } of identical copies folded into it
+    crop = false,
+    cropMargin = 4,
   } = opts;
-  const materials = doc.getRoot().listMaterials();
+  if (!DILATION_MODES.includes(dilate)) {
+    throw new Error(`Unknown dilation mode "${dilate}" for ${map} (expected ${DILATION_MODES.join(' | ')}).`);
+  }
+  const textures = doc.getRoot().listTextures();
   const entries = [];
   const textureToEntry = new Map();
   const hasTexTransformExt =
@@ -399,51 +1469,75 @@ async function atlasMap(doc, opts) {
       .listExtensions()
       .some((ext) => ext instanceof KHRTextureTransform);
 
-  const getter = {
-    basecolor: (mat) => mat.getBaseColorTexture(),
-    normal: (mat) => mat.getNormalTexture(),
-    orm: (mat) => mat.getMetallicRoughnessTexture() || mat.getOcclusionTexture(),
-    emissive: (mat) => mat.getEmissiveTexture(),
-  }[map];
-
-  const setter = {
-    basecolor: (mat, tex) => mat.setBaseColorTexture(tex),
-    normal: (mat, tex) => mat.setNormalTexture(tex),
-    orm: (mat, tex) => {
-      mat.setMetallicRoughnessTexture(tex);
-      mat.setOcclusionTexture(tex);
-    },
-    emissive: (mat, tex) => mat.setEmissiveTexture(tex),
-  }[map];
-
-  const texInfoSetter = {
-    basecolor: (mat) => mat.getBaseColorTextureInfo(),
-    normal: (mat) => mat.getNormalTextureInfo(),
-    orm: (mat) =>
-      mat.getMetallicRoughnessTextureInfo() || mat.getOcclusionTextureInfo(),
-    emissive: (mat) => mat.getEmissiveTextureInfo(),
-  }[map];
+  const slot = MAP_SLOTS[map];
+  const getter = slot?.get;
+  const setter = slot?.set;
+  const texInfoSetter = slot?.info;
 
   if (!getter || !setter) {
     console.warn(`[atlasgen] Map type not supported: ${map}`);
     return;
   }
 
-  // Density-aware sizing support.
-  const materialAreas = densityAware ? computeMaterialAreas(doc) : new Map();
-  const maxMatArea = Math.max(1e-6, ...materialAreas.values());
+  const scales = computeExtensionScales(materials);
+  const saved = { rects: 0, bytes: 0 };
+  const countedTextures = new Set();
 
+  // Density-aware sizing support.
+  const absoluteDensity = sizeMode === 'texel-density';
+  const materialDensity =
+    densityAware || absoluteDensity ? computeMaterialDensity(doc, texInfoSetter) : new Map();
+  const maxRatio = Math.max(1e-6, ...[...materialDensity.values()].map((d) => d.ratio));
+  let clampedToSource = 0;
+
+  // Key every material up front so sizing rules see all the materials that end up sharing a rect.
+  const keyed = [];
   for (const mat of materials) {
-    const tex = getter(mat);
-    if (!tex || !tex.getImage()) continue;
-    let entry = textureToEntry.get(tex);
+    let tex = getter(mat);
+    if (!tex?.getImage()) tex = null;
+    // Reused maps fill untextured rects from the canonical layout; only the packed map adds them.
+    if (!tex && reuseBins) continue;
+    const tiling = tilingPlan.get(mat);
+    if (tiling?.action === 'exclude') continue;
+    // ORM entries are keyed by their (occlusion, metallic-roughness) source pair.
+    const orm = map === 'orm' && tex ? ormSources(mat, textures) : null;
+    // Pre-tiled textures are only shared between materials repeating the same grid, and factors are
+    // baked into the texels, so differently tinted uses of one texture need their own rect.
+    const entryKey = [
+      tiling?.key,
+      orm ? orm.key : tex ? `tex:${textures.indexOf(tex)}` : 'factor',
+      ...factorMaps.map((m) => factorKey(m, mat, scales)),
+    ].join('|');
+    keyed.push({ mat, tex, tiling, orm, entryKey });
+  }
+  // Factor-only materials get a rect filled with their factors, so collapsing them into an atlas
+  // material keeps their look. A map is skipped only when nothing differs from the glTF defaults.
+  const defaultTexel = fallbackTexel(map, null, scales).join();
+  const hasFactor = (mat) => fallbackTexel(map, mat, scales).join() !== defaultTexel;
+  const needed = keyed.some((k) => k.tex) || materials.some(hasFactor);
+  if (!needed) keyed.length = 0;
+  let factorOnly = 0;
+
+  for (const { mat, tex, tiling, orm, entryKey } of keyed) {
+    let entry = textureToEntry.get(entryKey);
     if (!entry) {
-      let buffer = Buffer.from(tex.getImage());
+      const sharers = keyed.filter((k) => k.entryKey === entryKey).map((k) => k.mat);
+      const sizing = tex ? resolveSizingRule(sizingRules, sharers, tex) : null;
+      let buffer;
+      if (tex) {
+        buffer = orm ? await composeOrmBuffer(orm) : Buffer.from(tex.getImage());
+      } else {
+        // Sized like the material's other textures so they are not squeezed into a smaller rect.
+        const size = fallbackRectSize(mat, factorMaps);
+        buffer = await createFallbackBuffer(map, size.width, size.height, fallbackTexel(map, mat, scales));
+        factorOnly += 1;
+      }
       let { width, height } = sizeOf(buffer);
       if (!width || !height) {
         throw new Error(`Cannot read dimensions for texture ${tex.getName()}`);
       }
       if (
+        !sizing?.neverDownscale &&
         resizeMode === 'downscale' &&
         resizeCeil > 0 &&
         (width > resizeCeil || height > resizeCeil)
@@ -455,33 +1549,62 @@ async function atlasMap(doc, opts) {
         width = newW;
         height = newH;
       }
+      // Fallback texels already carry the factors.
+      const factor = tex ? resolveFactor(map, mat, scales) : null;
+      buffer = await bakeFactorsIntoBuffer(map, buffer, factor);
+      if (tiling) {
+        buffer = await tileImageBuffer(buffer, width, height, tiling.repeatU, tiling.repeatV);
+        width *= tiling.repeatU;
+        height *= tiling.repeatV;
+      }
 
-      // Target sizing
-      let targetSize = nearestPow2(Math.min(width, maxSize));
-      const matArea = materialAreas.get(mat.getName() || '') || 0;
-      if (materialAreas.size > 0) {
+      // Target sizing applies to the long edge; the short edge keeps the source aspect ratio.
+      const longEdge = Math.max(width, height);
+      let targetSize = nearestPow2(Math.min(longEdge, maxSize));
+      const ratio = materialDensity.get(mat)?.ratio || 0;
+      if (absoluteDensity) {
+        // One UV unit covers `ratio` square meters and a pre-tiled image holds repeatU x repeatV of them;
+        // spread that many texels over the image's aspect ratio and take the long edge.
+        const uvUnits = tiling ? tiling.repeatU * tiling.repeatV : 1;
+        const aspect = longEdge / Math.min(width, height);
+        const wanted =
+          ratio > 0 ? Math.ceil(texelsPerMeter * Math.sqrt(ratio * uvUnits * aspect)) : Infinity;
+        targetSize = Math.max(1, Math.min(wanted, longEdge, maxSize));
+        if (ratio > 0 && wanted > longEdge) clampedToSource += 1;
+      } else if (materialDensity.size > 0) {
         if (sizeMode === 'best-fill') {
-          targetSize = suggestSizeBestFill(matArea, maxMatArea, maxSize, width, height);
+          targetSize = suggestSizeBestFill(ratio, maxRatio, maxSize, width, height);
         } else {
           // buckets mode (legacy density-aware)
-          const norm = matArea / maxMatArea;
+          const norm = ratio / maxRatio;
           if (norm >= 0.5) targetSize = 2048;
           else if (norm >= 0.25) targetSize = 1024;
           else if (norm >= 0.1) targetSize = 512;
           else targetSize = 256;
         }
       }
-      targetSize = clampPow2(targetSize, 256, maxSize);
-      // Do not upscale beyond original.
-      targetSize = Math.min(targetSize, nearestPow2(Math.max(1, Math.min(width, height))));
-      if (targetSize < Math.min(width, height)) {
-        buffer = await sharp(buffer).resize(targetSize, targetSize, { fit: 'cover' }).toBuffer();
-        width = targetSize;
-        height = targetSize;
-      } else {
-        width = targetSize;
-        height = targetSize;
+      if (!absoluteDensity) {
+        targetSize = clampPow2(targetSize, 256, maxSize);
+        // Do not upscale beyond original.
+        targetSize = Math.min(targetSize, nearestPow2(Math.max(1, longEdge)));
+      }
+      if (sizing) {
+        const heuristic = targetSize;
+        targetSize = applySizingRule(sizing, targetSize, longEdge, maxSize);
+        if (!reuseBins) {
+          console.log(
+            `[atlasgen] Sizing rule ${sizing.label} applied to ${sharers.map((m) => m.getName()).join(', ')} (${map}): ${describeSizingRule(sizing)}; ${heuristic}px -> ${targetSize}px.`
+          );
+        }
+      }
+      const targetW = Math.max(1, Math.round((width * targetSize) / longEdge));
+      const targetH = Math.max(1, Math.round((height * targetSize) / longEdge));
+      // Larger targets (sizing rules) are upsampled when the atlas is composited.
+      if (targetSize < longEdge) {
+        buffer = await sharp(buffer).resize(targetW, targetH, { fit: 'fill' }).toBuffer();
       }
+      width = targetW;
+      height = targetH;
 
       entry = {
         texture: tex,
@@ -489,19 +1612,59 @@ async function atlasMap(doc, opts) {
         width,
         height,
         materials: [],
+        ...(orm ? { channels: orm.channels } : {}),
+        ...(factor ? { factor } : {}),
+        ...(sizing ? { sizing } : {}),
       };
-      textureToEntry.set(tex, entry);
+      textureToEntry.set(entryKey, entry);
       entries.push(entry);
+      const folded = duplicates.get(tex);
+      if (folded) {
+        // Reused maps follow canonical rects, so only the packed map actually saves rects.
+        if (!reuseBins) saved.rects += folded.count;
+        if (!countedTextures.has(tex)) saved.bytes += folded.bytes;
+        countedTextures.add(tex);
+      }
     }
     entry.materials.push(mat);
   }
 
-  if (entries.length === 0) {
+  if (!needed || (entries.length === 0 && !reuseBins)) {
     console.log(`[atlasgen] No ${map} textures found; skipping atlas.`);
     return;
   }
 
-  console.log(`[atlasgen] Atlasing ${entries.length} ${map} texture(s).`);
+  console.log(
+    entries.length
+      ? `[atlasgen] Atlasing ${entries.length} ${map} texture(s).`
+      : `[atlasgen] Atlasing ${map} from material factors only.`
+  );
+  if (factorOnly) {
+    console.log(`[atlasgen] Added ${factorOnly} ${map} rect(s) filled from the factors of untextured materials.`);
+  }
+  if (clampedToSource && !reuseBins) {
+    console.log(
+      `[atlasgen] ${clampedToSource} ${map} texture(s) are below ${texelsPerMeter} texels/m at source resolution.`
+    );
+  }
+
+  // Reused maps crop to the canonical rects' regions instead of measuring their own.
+  if (crop && !reuseBins) {
+    let cropped = 0;
+    for (const entry of entries) {
+      if (!entry.texture) continue;
+      const region = await usedTextureRegion(doc, entry, {
+        infoOf: texInfoSetter,
+        tilingPlan,
+        margin: cropMargin,
+        trimAlpha: map === 'basecolor',
+      });
+      if (!region) continue;
+      await cropEntry(entry, region);
+      cropped += 1;
+    }
+    if (cropped) console.log(`[atlasgen] Cropped ${cropped} ${map} texture(s) to their used UV region.`);
+  }
 
   const packInput = entries.map((entry, idx) => ({
     id: idx,
@@ -514,56 +1677,76 @@ async function atlasMap(doc, opts) {
   let scale = 1;
   let bins;
   let atlasSize;
-  let binRects;
-
-  if (reuseRects && reuseRects.rects && reuseRects.size) {
-    // Reuse canonical rects; do not repack. Fill missing textures with map-specific fallback.
-    const s = Math.max(reuseRects.size.width || 0, reuseRects.size.height || 0);
-    atlasSize = nextPow2Ceil(Math.max(s, 256));
-    const rects = [];
-    const allMats = doc.getRoot().listMaterials();
-    for (const r of reuseRects.rects) {
-      const resolvedMats = (r.materials || [])
-        .map((name) => findMaterialByName(name, allMats))
-        .filter(Boolean);
-      let entry = findEntryForMaterial(r.materials?.[0], entries);
-      if (!entry) {
-        const fallbackBuffer = await createFallbackBuffer(map, r.width, r.height);
-        entry = {
-          texture: null,
-          buffer: fallbackBuffer,
-          width: r.width,
-          height: r.height,
-          materials: resolvedMats,
-        };
-      } else {
-        entry = { ...entry, materials: resolvedMats.length ? resolvedMats : entry.materials || [] };
+
+  if (reuseBins?.length) {
+    // Reuse canonical rects and bins; do not repack. Fill missing textures with map-specific fallback.
+    bins = [];
+    for (const reused of reuseBins) {
+      const rects = [];
+      for (const r of reused.rects) {
+        const resolvedMats = r.materials;
+        let entry = findEntryForMaterial(resolvedMats[0], entries);
+        if (!entry) {
+          const fallbackBuffer = await createFallbackBuffer(
+            map,
+            r.width,
+            r.height,
+            fallbackTexel(map, resolvedMats[0], scales)
+          );
+          entry = {
+            texture: null,
+            buffer: fallbackBuffer,
+            width: r.width,
+            height: r.height,
+            materials: resolvedMats,
+          };
+        } else {
+          entry = { ...entry, materials: resolvedMats.length ? resolvedMats : entry.materials || [] };
+          if (r.crop) await cropEntry(entry, r.crop);
+        }
+        rects.push({
+          ...r,
+          data: entry,
+        });
       }
-      rects.push({
-        ...r,
-        data: entry,
-      });
+      // Reused bins keep the canonical atlas's (already shaped) dimensions.
+      bins.push({ width: reused.width, height: reused.height, rects });
     }
-    bins = [
-      {
-        width: atlasSize,
-        height: atlasSize,
-        rects,
-      },
-    ];
-    binRects = bins[0].rects;
+    // The smallest side, so square shaping cannot grow a canonical bin that is smaller than the others.
+    atlasSize = Math.min(...bins.map((bin) => Math.min(bin.width, bin.height)));
   } else {
-    if (targetBins === 1 && resizeMode === 'downscale') {
-      scale = await findBestScaleForSingleBin(packInput, maxSize, padding);
+    // An absolute density target is never traded for fit; the atlas grows or spills into more bins.
+    if (targetBins === 1 && resizeMode === 'downscale' && !absoluteDensity) {
+      scale = await findBestScaleForSingleBin(packInput, maxSize, padding, align, allowRotation);
+      if (scale < 1) {
+        for (const { data } of packInput) {
+          if (!data.sizing || rectScale(data, scale) === scale) continue;
+          console.log(
+            `[atlasgen] Sizing rule ${data.sizing.label} scaled ${data.materials.map((m) => m.getName()).join(', ')} (${map}) by ${rectScale(data, scale).toFixed(3)} instead of ${scale.toFixed(3)} to fit one bin.`
+          );
+        }
+      }
     }
 
     const scaledInput =
       scale === 1 ? packInput : await resizePackInputToScale(packInput, scale);
 
-    const packResult = packIntoAtlas(scaledInput, maxSize, padding, targetBins);
+    const packResult = packIntoAtlas(
+      scaledInput,
+      maxSize,
+      padding,
+      targetBins,
+      align,
+      allowRotation,
+      absoluteDensity
+    );
     atlasSize = packResult.size;
     bins = packResult.bins;
-    binRects = bins[0].rects;
+    if (bins.length > targetBins) {
+      console.log(
+        `[atlasgen] ${map} needs ${bins.length} bin(s) at ${texelsPerMeter} texels/m (max bins ${targetBins}).`
+      );
+    }
   }
 
   const fmt = (format || 'png').toLowerCase();
@@ -571,25 +1754,32 @@ async function atlasMap(doc, opts) {
     fmt === 'png' ? 'image/png' : fmt === 'webp' ? 'image/webp' : 'image/jpeg';
 
   const materialMap = new Map(); // material -> mapping
-  const layoutInfo = { map, atlases: [], uvDiagnostics: [] };
+  const layoutInfo = {
+    map,
+    ...(renderState ? { renderState } : {}),
+    colorSpace: slot.colorSpace,
+    align,
+    atlases: [],
+    uvDiagnostics: [],
+    ...(saved.bytes ? { deduplicated: saved } : {}),
+    ...(absoluteDensity ? { texelsPerMeter } : {}),
+  };
   const atlasTexRefs = [];
+  const binPlan = [];
 
   for (let binIndex = 0; binIndex < bins.length; binIndex++) {
     const bin = bins[binIndex];
-    // Force square, power-of-two atlas dimensions.
-    const squareSize = nextPow2Ceil(Math.max(bin.width || atlasSize, bin.height || atlasSize, atlasSize));
-    bin.width = squareSize;
-    bin.height = squareSize;
-    atlasSize = squareSize;
+    Object.assign(bin, shapeAtlasBin(bin, atlasSize, atlasShape, align));
     const composites = [];
     for (const rect of bin.rects) {
       const entry = rect.data;
       let input = entry.buffer;
-      if (entry.width !== rect.width || entry.height !== rect.height) {
-        input = await sharp(entry.buffer)
-          .resize(rect.width, rect.height, { fit: 'fill' })
-          .toBuffer();
+      // Rotated rects hold the image turned 90° clockwise, so it is sized to the transposed rect first.
+      const [width, height] = rect.rotated ? [rect.height, rect.width] : [rect.width, rect.height];
+      if (entry.width !== width || entry.height !== height) {
+        input = await sharp(input).resize(width, height, { fit: 'fill' }).toBuffer();
       }
+      if (rect.rotated) input = await sharp(input).rotate(90).toBuffer();
       composites.push({ input, left: rect.x, top: rect.y });
     }
 
@@ -602,15 +1792,31 @@ async function atlasMap(doc, opts) {
       },
     }).composite(composites);
 
-    if (fmt === 'png') {
+    let binFmt = fmt;
+    let formatFallback = null;
+    if (dilate !== 'none') {
+      // Round-trip through raw RGBA so gutters and transparent texels pick up neighbouring colour.
+      const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+      dilateAtlasPixels(data, info.width, info.height, bin.rects, { bleed: dilate === 'full' });
+      if (dilate === 'full' && fmt === 'webp' && hasTransparentTexels(data)) {
+        // webp (lossy and lossless alike) zeroes RGB under alpha 0, undoing the bleed, so write PNG.
+        console.warn(`[atlasgen] webp cannot keep colour under transparent texels; writing ${map} bin ${binIndex} as PNG.`);
+        binFmt = 'png';
+        formatFallback = 'webp -> png (full dilation keeps RGB under alpha 0)';
+      }
+      pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } });
+    }
+
+    if (binFmt === 'png') {
       pipeline = pipeline.png();
     } else if (fmt === 'jpeg' || fmt === 'jpg') {
       pipeline = pipeline.jpeg({
         quality: quality ?? 85,
         chromaSubsampling: '4:4:4',
       });
-    } else if (fmt === 'webp') {
-      const lossless = map === 'normal' || map === 'orm';
+    } else if (binFmt === 'webp') {
+      // Data (linear) maps must not pick up lossy artifacts.
+      const lossless = slot.colorSpace === 'linear';
       pipeline = pipeline.webp({
         quality: quality ?? 85,
         lossless,
@@ -623,35 +1829,16 @@ async function atlasMap(doc, opts) {
     const atlasBuffer = await pipeline.toBuffer();
 
     const atlasTex = doc
-      .createTexture(`Atlas_${map}_${binIndex}`)
+      .createTexture(`Atlas_${map}${renderState ? `_${renderState}` : ''}_${binIndex}`)
       .setImage(atlasBuffer)
-      .setMimeType(mime);
+      .setMimeType(binFmt === fmt ? mime : 'image/png');
     atlasTexRefs.push(atlasTex);
 
-    const allMats = doc.getRoot().listMaterials();
     bin.rects.forEach((rect) => {
-      const matsRaw =
-        (rect.data && rect.data.materials && rect.data.materials.length
-          ? rect.data.materials
-          : rect.materials) || [];
-      const mats = matsRaw
-        .map((matRef) =>
-          matRef && typeof matRef.getName === 'function'
-            ? matRef
-            : findMaterialByName(matRef, allMats)
-        )
-        .filter(Boolean);
+      const mats = rect.data?.materials || [];
       if (!mats.length) return;
       mats.forEach((mat) => {
-        const infoGetter =
-          map === 'basecolor'
-            ? mat.getBaseColorTextureInfo
-            : map === 'normal'
-            ? mat.getNormalTextureInfo
-            : map === 'emissive'
-            ? mat.getEmissiveTextureInfo
-            : () => mat.getMetallicRoughnessTextureInfo() || mat.getOcclusionTextureInfo();
-        const info = infoGetter ? infoGetter.call(mat) : null;
+        const info = texInfoSetter(mat);
         const texCoordIndex = info?.getTexCoord() ?? 0;
         materialMap.set(mat, {
           rect,
@@ -667,20 +1854,25 @@ async function atlasMap(doc, opts) {
             !!info.getExtension &&
             !!info.getExtension('KHR_texture_transform'),
         });
+        const density = materialDensity.get(mat);
         layoutInfo.uvDiagnostics.push({
           material: mat.getName() || '(unnamed)',
           texCoordIndex,
           hasTransform: !!materialMap.get(mat)?.hasTransform,
           map,
-          rect: { x: rect.x, y: rect.y, w: rect.width, h: rect.height },
+          rect: { x: rect.x, y: rect.y, w: rect.width, h: rect.height, ...(rect.rotated ? { rotated: true } : {}) },
+          ...(density ? { density: describeDensity(density, rect, tilingPlan.get(mat)) } : {}),
         });
       });
     });
 
     layoutInfo.atlases.push({
       index: binIndex,
+      texture: atlasTex.getName(),
       width: bin.width || atlasSize,
       height: bin.height || atlasSize,
+      bleedFreeMips: countBleedFreeMips(bin.rects, bin.width || atlasSize, bin.height || atlasSize),
+      ...(formatFallback ? { formatFallback } : {}),
       rects: bin.rects.map((r) => ({
         texture: r.data.texture?.getName?.() || '(unnamed)',
         materials: (r.data.materials || [])
@@ -690,8 +1882,18 @@ async function atlasMap(doc, opts) {
         y: r.y,
         width: r.width,
         height: r.height,
+        ...(r.rotated ? { rotated: true } : {}),
+        ...(r.crop || r.data.crop ? { crop: r.crop || r.data.crop } : {}),
+        ...(r.data.channels ? { channels: r.data.channels } : {}),
+        ...(r.data.factor ? { bakedFactor: r.data.factor } : {}),
       })),
     });
+    // The same bin with Material references for the other maps to fill; names need not be unique.
+    const placed = layoutInfo.atlases[layoutInfo.atlases.length - 1];
+    binPlan.push({
+      ...placed,
+      rects: placed.rects.map((r, i) => ({ ...r, materials: bin.rects[i].data.materials || [] })),
+    });
   }
 
   const meshes = doc.getRoot().listMeshes();
@@ -713,9 +1915,14 @@ async function atlasMap(doc, opts) {
         } = mapping;
         let uvSet = texCoordIndex;
         let uvAcc = prim.getAttribute(`TEXCOORD_${uvSet}`);
+        if (!uvAcc && !rect.data.texture) {
+          // Untextured geometry may have no UVs; any point inside its solid fallback rect will do.
+          const count = prim.getAttribute('POSITION').getCount();
+          uvAcc = doc.createAccessor().setType('VEC2').setArray(new Float32Array(count * 2).fill(0.5));
+        }
         if (!uvAcc) continue;
         // Clone UV accessor to avoid mutating shared accessors across primitives.
-        const clonedUV = new Float32Array(uvAcc.getArray());
+        const clonedUV = readFloatArray(uvAcc);
         uvAcc = doc.createAccessor().setType('VEC2').setArray(clonedUV);
         prim.setAttribute(`TEXCOORD_${uvSet}`, uvAcc);
         let working = uvAcc.getArray();
@@ -746,20 +1953,42 @@ async function atlasMap(doc, opts) {
           info.setExtension('KHR_texture_transform', null);
         }
 
+        // Pre-tiled rects hold the whole repeat grid; fold UVs into 0–1 over that grid.
+        const tiling = tilingPlan.get(mat);
+        if (tiling) {
+          for (let i = 0; i < working.length; i += 2) {
+            working[i] = (working[i] - tiling.originU) / tiling.repeatU;
+            working[i + 1] = (working[i + 1] - tiling.originV) / tiling.repeatV;
+          }
+        }
+
+        // Cropped rects hold only the sampled region. UVs outside it belong to triangles over trimmed
+        // transparent borders and are clamped onto the region's transparent margin.
+        const crop = rect.data.crop;
+        if (crop) {
+          for (let i = 0; i < working.length; i += 2) {
+            working[i] = (Math.min(crop.u1, Math.max(crop.u0, working[i])) - crop.u0) / (crop.u1 - crop.u0);
+            working[i + 1] = (Math.min(crop.v1, Math.max(crop.v0, working[i + 1])) - crop.v0) / (crop.v1 - crop.v0);
+          }
+        }
+
         const dst = new Float32Array(working.length);
         const scaleU = rect.width / aw;
         const scaleV = rect.height / ah;
         const offsetU = rect.x / aw;
         const offsetV = rect.y / ah;
         for (let i = 0; i < working.length; i += 2) {
-          const u = working[i];
-          const v = working[i + 1];
+          // A clockwise-rotated image puts source (u, v) at (1 - v, u) within its rect.
+          const u = rect.rotated ? 1 - working[i + 1] : working[i];
+          const v = rect.rotated ? working[i] : working[i + 1];
           dst[i] = u * scaleU + offsetU;
           dst[i + 1] = v * scaleV + offsetV;
         }
         uvAcc.setArray(dst);
         remappedPrims += 1;
         setter(mat, atlasTex);
+        resetFactors(map, mat, scales);
+        setMaterialWrap(mat, TextureInfo.WrapMode.CLAMP_TO_EDGE, atlasTex);
         // Force material sampling to texcoord 0; copy remapped UVs into TEXCOORD_0.
         prim.setAttribute('TEXCOORD_0', uvAcc);
         if (info && info.setTexCoord) {
@@ -786,15 +2015,41 @@ async function atlasMap(doc, opts) {
           preMax,
           postMin,
           postMax,
-          rect: { x: rect.x, y: rect.y, w: rect.width, h: rect.height, atlasW: aw, atlasH: ah },
+          rect: {
+            x: rect.x,
+            y: rect.y,
+            w: rect.width,
+            h: rect.height,
+            atlasW: aw,
+            atlasH: ah,
+            ...(rect.rotated ? { rotated: true } : {}),
+          },
+          ...(tiling ? { tiling: { repeatU: tiling.repeatU, repeatV: tiling.repeatV, action: tiling.action } } : {}),
         });
       }
     }
+    // Record materials left out of the atlas so the layout explains the extra draw calls.
+    for (const [mat, tiling] of tilingPlan) {
+      if (tiling.action !== 'exclude') continue;
+      layoutInfo.uvDiagnostics.push({
+        material: mat.getName() || '(unnamed)',
+        map,
+        preMin: tiling.min,
+        preMax: tiling.max,
+        tiling: { repeatU: tiling.repeatU, repeatV: tiling.repeatV, action: tiling.action },
+      });
+    }
   } else {
     // Only rewire materials to the atlas textures; UVs remain as-is from canonical remap.
     for (const mesh of meshes) {
       for (const prim of mesh.listPrimitives()) {
-        setter(prim.getMaterial(), doc.getRoot().listTextures().find((t) => t.getName().startsWith(`Atlas_${map}`)));
+        const mat = prim.getMaterial();
+        // Only materials with a canonical rect had their UVs remapped (and their texels filled).
+        if (!materialMap.has(mat)) continue;
+        const { atlasTex } = materialMap.get(mat);
+        setter(mat, atlasTex);
+        resetFactors(map, mat, scales);
+        setMaterialWrap(mat, TextureInfo.WrapMode.CLAMP_TO_EDGE, atlasTex);
       }
     }
   }
@@ -802,8 +2057,111 @@ async function atlasMap(doc, opts) {
   console.log(
     `[atlasgen] Built ${map} atlas(es); bins=${bins.length}; remapped ${remappedPrims} primitive(s).`
   );
+  if (saved.rects) {
+    console.log(`[atlasgen] Deduplication saved ${saved.rects} ${map} rect(s) and ${saved.bytes} source byte(s).`);
+  }
+
+  // Materials placed in each bin; every map follows the canonical bin assignment.
+  const binMaterials = atlasTexRefs.map(() => []);
+  for (const [mat, { atlasIndex }] of materialMap) binMaterials[atlasIndex].push(mat);
+  return { layoutInfo, atlasTexRefs, binMaterials, binPlan };
+}
 
-  return { layoutInfo, atlasTexRefs };
+function hasTransparentTexels(data) {
+  for (let i = 3; i < data.length; i += 4) if (data[i] === 0) return true;
+  return false;
+}
+
+// Fill texels that would otherwise stay transparent black so bilinear filtering and mipmaps
+// never average black into rect edges:
+// - bleed: inside each rect, copy RGB from the nearest visible texel into alpha-0 texels (alpha kept).
+// - gutter: outside all rects, copy RGBA from the nearest rect texel (padding and unused space).
+function dilateAtlasPixels(data, width, height, rects, { bleed = false } = {}) {
+  const queue = new Int32Array(width * height);
+  const filled = new Uint8Array(width * height);
+
+  const clampRect = (r) => {
+    const x0 = Math.max(0, r.x);
+    const y0 = Math.max(0, r.y);
+    const x1 = Math.min(width, r.x + r.width);
+    const y1 = Math.min(height, r.y + r.height);
+    return { x0, y0, x1, y1 };
+  };
+
+  if (bleed) {
+    for (const r of rects) {
+      const { x0, y0, x1, y1 } = clampRect(r);
+      let head = 0;
+      let tail = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const p = y * width + x;
+          if (data[p * 4 + 3] > 0) {
+            filled[p] = 1;
+            queue[tail++] = p;
+          }
+        }
+      }
+      if (tail === 0) continue;
+      while (head < tail) {
+        const p = queue[head++];
+        const px = p % width;
+        const py = (p - px) / width;
+        const neighbours = [
+          px > x0 ? p - 1 : -1,
+          px < x1 - 1 ? p + 1 : -1,
+          py > y0 ? p - width : -1,
+          py < y1 - 1 ? p + width : -1,
+        ];
+        for (const n of neighbours) {
+          if (n < 0 || filled[n]) continue;
+          filled[n] = 1;
+          data[n * 4] = data[p * 4];
+          data[n * 4 + 1] = data[p * 4 + 1];
+          data[n * 4 + 2] = data[p * 4 + 2];
+          queue[tail++] = n;
+        }
+      }
+    }
+  }
+
+  // Gutter: every rect texel counts as covered; seed the flood from rect borders only.
+  filled.fill(0);
+  let head = 0;
+  let tail = 0;
+  for (const r of rects) {
+    const { x0, y0, x1, y1 } = clampRect(r);
+    for (let y = y0; y < y1; y++) filled.fill(1, y * width + x0, y * width + x1);
+  }
+  for (const r of rects) {
+    const { x0, y0, x1, y1 } = clampRect(r);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (y !== y0 && y !== y1 - 1 && x !== x0 && x !== x1 - 1) continue;
+        queue[tail++] = y * width + x;
+      }
+    }
+  }
+  while (head < tail) {
+    const p = queue[head++];
+    const px = p % width;
+    const py = (p - px) / width;
+    const neighbours = [
+      px > 0 ? p - 1 : -1,
+      px < width - 1 ? p + 1 : -1,
+      py > 0 ? p - width : -1,
+      py < height - 1 ? p + width : -1,
+    ];
+    for (const n of neighbours) {
+      if (n < 0 || filled[n]) continue;
+      filled[n] = 1;
+      data[n * 4] = data[p * 4];
+      data[n * 4 + 1] = data[p * 4 + 1];
+      data[n * 4 + 2] = data[p * 4 + 2];
+      data[n * 4 + 3] = data[p * 4 + 3];
+      queue[tail++] = n;
+    }
+  }
 }
 
 function nextPow2(n) {
@@ -818,22 +2176,42 @@ function nextPow2Ceil(n) {
   return p;
 }
 
-function packIntoAtlas(rects, maxSize, padding, maxBins) {
-  const maxDim = rects.reduce((m, r) => Math.max(m, r.width, r.height), 1);
+// With `spill`, rects that still need more than `maxBins` at `maxSize` overflow into extra bins.
+function packIntoAtlas(rects, maxSize, padding, maxBins, align = 1, allowRotation = false, spill = false) {
+  // Snapping sizes and padding to the alignment keeps every packed position on the grid too.
+  const alignedPadding = padding > 0 ? alignUp(padding, align) : 0;
+  const aligned =
+    align > 1
+      ? rects.map((r) => ({ ...r, width: alignUp(r.width, align), height: alignUp(r.height, align) }))
+      : rects;
+  const maxDim = aligned.reduce((m, r) => Math.max(m, r.width, r.height), 1);
   let size = nextPow2(Math.max(maxDim, 256));
 
+  // Spilling always ends on a pass at exactly `maxSize`, so a non-power-of-two cap is still tried.
+  if (spill) size = Math.min(size, maxSize);
+
   while (size <= maxSize) {
-    const packer = new MaxRectsPacker(size, size, padding, {
+    const packer = new MaxRectsPacker(size, size, alignedPadding, {
       smart: true,
       pot: false,
       square: false,
-      allowRotation: false,
+      allowRotation,
     });
-    packer.addArray(rects);
-    if (packer.bins.length <= maxBins) {
+    // The packer writes x/y/rot onto the rects it is given, so each attempt gets fresh copies;
+    // a `rot` left over from a failed pass would otherwise be flipped again.
+    packer.addArray(aligned.map((r) => ({ ...r, rot: false })));
+    if (packer.bins.length <= maxBins || (spill && size === maxSize)) {
+      // The packer only flags plain rects as `rot`; swap them so width/height are the atlas footprint.
+      for (const bin of packer.bins) {
+        for (const rect of bin.rects) {
+          if (!rect.rot) continue;
+          [rect.width, rect.height] = [rect.height, rect.width];
+          rect.rotated = true;
+        }
+      }
       return { size, bins: packer.bins };
     }
-    size = size * 2;
+    size = spill && size < maxSize ? Math.min(size * 2, maxSize) : size * 2;
   }
 
   throw new Error(
@@ -841,25 +2219,53 @@ function packIntoAtlas(rects, maxSize, padding, maxBins) {
   );
 }
 
-function findEntryForMaterial(materialName, entries) {
-  if (!materialName) return null;
-  for (const e of entries) {
-    if (
-      e.materials.some(
-        (m) => m && typeof m.getName === 'function' && (m.getName() || '(unnamed)') === materialName
-      )
-    )
-      return e;
+// Final bin dimensions under the atlas shape policy; `atlasSize` is the packer's square size.
+function shapeAtlasBin(bin, atlasSize, shape, align = 1) {
+  const width = bin.width || atlasSize;
+  const height = bin.height || atlasSize;
+  if (shape === 'pot') return { width: nextPow2Ceil(width), height: nextPow2Ceil(height) };
+  if (shape === 'npot') {
+    const multiple = Math.max(COMPRESSION_BLOCK_SIZE, align);
+    return { width: alignUp(width, multiple), height: alignUp(height, multiple) };
+  }
+  const size = nextPow2Ceil(Math.max(width, height, atlasSize));
+  return { width: size, height: size };
+}
+
+function alignUp(n, align) {
+  return align > 1 ? Math.ceil(n / align) * align : n;
+}
+
+function resolveAlignment(align, alignMips) {
+  let result = Math.max(1, align || 1);
+  if (alignMips > 0) {
+    result = Math.max(result, COMPRESSION_BLOCK_SIZE * 2 ** (alignMips - 1));
+  }
+  if ((result & (result - 1)) !== 0) {
+    throw new Error(`Atlas alignment must be a power of two (got ${result}).`);
   }
-  return null;
+  return result;
+}
+
+// Number of mip levels (from level 0) in which no compression block straddles two rects.
+function countBleedFreeMips(rects, width, height) {
+  let grid = width | height;
+  for (const r of rects) grid |= r.x | r.y | r.width | r.height;
+  // Lowest set bit = largest power of two dividing every rect edge.
+  const g = grid & -grid;
+  if (g < COMPRESSION_BLOCK_SIZE) return 0;
+  const maxLevels = Math.floor(Math.log2(Math.max(width, height))) + 1;
+  return Math.min(maxLevels, Math.log2(g / COMPRESSION_BLOCK_SIZE) + 1);
+}
+
+function findEntryForMaterial(mat, entries) {
+  if (!mat) return null;
+  return entries.find((e) => e.materials.includes(mat)) || null;
 }
 
-async function createFallbackBuffer(map, width, height) {
-  let background = { r: 0, g: 0, b: 0, alpha: 255 };
-  if (map === 'basecolor') background = { r: 255, g: 255, b: 255, alpha: 255 };
-  else if (map === 'normal') background = { r: 128, g: 128, b: 255, alpha: 255 };
-  else if (map === 'orm') background = { r: 255, g: 255, b: 255, alpha: 255 };
-  else if (map === 'emissive') background = { r: 0, g: 0, b: 0, alpha: 255 };
+async function createFallbackBuffer(map, width, height, texel = null) {
+  const [r, g, b, alpha] = texel || encodeTexel(map, MAP_SLOTS[map]?.fallback(null, {}) || [0, 0, 0, 1]);
+  const background = { r, g, b, alpha: alpha / 255 };
 
   const buf = await sharp({
     create: {
@@ -874,48 +2280,548 @@ async function createFallbackBuffer(map, width, height) {
   return buf;
 }
 
-function findMaterialByName(name, materials) {
-  if (!name) return null;
-  for (const m of materials) {
-    if (m && typeof m.getName === 'function' && (m.getName() || '(unnamed)') === name) return m;
+// Largest texture the material has in any of `maps`, or a small square when it has none.
+function fallbackRectSize(mat, maps) {
+  let size = { width: FALLBACK_RECT_SIZE, height: FALLBACK_RECT_SIZE };
+  let area = 0;
+  for (const map of maps) {
+    const image = MAP_SLOTS[map]?.get(mat)?.getImage();
+    if (!image) continue;
+    const { width, height } = sizeOf(image);
+    if (width * height > area) {
+      size = { width, height };
+      area = width * height;
+    }
   }
-  return null;
+  return size;
 }
 
-function computeMaterialAreas(doc) {
-  const areas = new Map();
-  const meshes = doc.getRoot().listMeshes();
-  for (const mesh of meshes) {
+function textureInfoForMap(mat, map) {
+  return MAP_SLOTS[map]?.info(mat) || null;
+}
+
+// Which images feed the ORM channels: R from occlusion, G/B from metallic-roughness.
+function ormSources(mat, textures) {
+  let occ = mat.getOcclusionTexture();
+  const mr = mat.getMetallicRoughnessTexture();
+  // Texels are merged pixel by pixel, which only holds when both slots sample the same UVs. Otherwise
+  // occlusion (often on TEXCOORD_1) would be baked into metallic-roughness's UV space; drop it instead.
+  const mismatched =
+    occ && mr && !sameUvSpace(mat.getOcclusionTextureInfo(), mat.getMetallicRoughnessTextureInfo());
+  if (mismatched) {
+    console.warn(
+      `[atlasgen] Material ${mat.getName() || '(unnamed)'}: occlusion and metallic-roughness use different UVs; ` +
+        'occlusion is left out of the ORM atlas.'
+    );
+    occ = null;
+  }
+  const name = (t) => t.getName() || `texture_${textures.indexOf(t)}`;
+  return {
+    occ,
+    mr,
+    key: `orm:${occ ? textures.indexOf(occ) : 'none'}|${mr ? textures.indexOf(mr) : 'none'}`,
+    channels: {
+      r: occ ? name(occ) : mismatched ? 'fallback (occlusion UVs differ)' : 'fallback',
+      g: mr ? name(mr) : 'fallback',
+      b: mr ? name(mr) : 'fallback',
+    },
+  };
+}
+
+// Whether two texture infos sample the same UVs: same set, same KHR_texture_transform.
+function sameUvSpace(a, b) {
+  // A slot without texture info samples TEXCOORD_0 untransformed.
+  const uv = (info) => {
+    const t = info?.getExtension('KHR_texture_transform');
+    return JSON.stringify([
+      t?.getTexCoord() ?? info?.getTexCoord() ?? 0,
+      t ? [t.getOffset(), t.getRotation(), t.getScale()] : [[0, 0], 0, [1, 1]],
+    ]);
+  };
+  return uv(a) === uv(b);
+}
+
+// Pack separate occlusion and metallic-roughness images into one ORM image. Missing channels are
+// white; the material's factors are baked in afterwards like any other ORM texture.
+async function composeOrmBuffer({ occ, mr }) {
+  if (occ && occ === mr) return Buffer.from(mr.getImage());
+  const dims = [occ, mr].filter(Boolean).map((t) => sizeOf(Buffer.from(t.getImage())));
+  const width = Math.max(...dims.map((d) => d.width));
+  const height = Math.max(...dims.map((d) => d.height));
+  const readRgb = (tex) =>
+    sharp(Buffer.from(tex.getImage()))
+      .resize(width, height, { fit: 'fill' })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  const occRaw = occ ? await readRgb(occ) : null;
+  const mrRaw = mr ? await readRgb(mr) : null;
+
+  const out = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    out[i * 4] = occRaw ? occRaw.data[i * occRaw.info.channels] : 255;
+    out[i * 4 + 1] = mrRaw ? mrRaw.data[i * mrRaw.info.channels + 1] : 255;
+    out[i * 4 + 2] = mrRaw ? mrRaw.data[i * mrRaw.info.channels + 2] : 255;
+    out[i * 4 + 3] = 255;
+  }
+  return sharp(out, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+function extensionSlot(extension, name, colorSpace, fallback, bake) {
+  return {
+    extension,
+    colorSpace,
+    get: (mat) => mat.getExtension(extension)?.[`get${name}Texture`]() || null,
+    info: (mat) => mat.getExtension(extension)?.[`get${name}TextureInfo`]() || null,
+    set: (mat, tex) => mat.getExtension(extension)?.[`set${name}Texture`](tex),
+    fallback,
+    bake,
+  };
+}
+
+// A plain multiplier factor (scalar or RGB/RGBA), e.g. baseColorFactor or clearcoatFactor.
+function multiplyFactor(name, shape = gray) {
+  return {
+    factor: (subject) => {
+      const f = subject[`get${name}`]();
+      return { mul: Array.isArray(f) ? (f.length === 3 ? [...f, 1] : f) : shape(f) };
+    },
+    reset: (subject) => {
+      const f = subject[`get${name}`]();
+      subject[`set${name}`](Array.isArray(f) ? f.map(() => 1) : 1);
+    },
+  };
+}
+
+function normalScaleFactor(name) {
+  return {
+    factor: (subject) => ({ normalScale: subject[`get${name}`]() }),
+    reset: (subject) => subject[`set${name}`](1),
+  };
+}
+
+// The factor transform a material applies to its texels in `map`, or null when it is the identity.
+function resolveFactor(map, mat, scales) {
+  const slot = MAP_SLOTS[map];
+  const subject = slot?.extension ? mat?.getExtension(slot.extension) || null : mat;
+  if (!slot?.bake || !subject) return null;
+  const { mul = [1, 1, 1, 1], add = [0, 0, 0, 0], normalScale = 1 } = slot.bake.factor(subject, scales);
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+  const factor = { mul: mul.map(round), add: add.map(round), normalScale: round(normalScale) };
+  const identity =
+    factor.mul.every((v) => v === 1) && factor.add.every((v) => v === 0) && factor.normalScale === 1;
+  return identity ? null : factor;
+}
+
+function factorKey(map, mat, scales) {
+  const factor = resolveFactor(map, mat, scales);
+  return factor ? `${map}:${factor.mul}/${factor.add}/${factor.normalScale}` : '';
+}
+
+// Once a material samples the atlas its factors are already in the texels.
+function resetFactors(map, mat, scales) {
+  const slot = MAP_SLOTS[map];
+  const subject = slot?.extension ? mat.getExtension(slot.extension) : mat;
+  if (slot?.bake && subject) slot.bake.reset(subject, scales);
+}
+
+// Multiply a material's factors into its texels (sRGB slots are scaled in linear space).
+async function bakeFactorsIntoBuffer(map, buffer, factor) {
+  if (!factor) return buffer;
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const srgb = MAP_SLOTS[map].colorSpace === 'srgb';
+  const { mul, add, normalScale } = factor;
+  for (let i = 0; i < data.length; i += 4) {
+    if (normalScale !== 1) {
+      const x = (data[i] / 255) * 2 - 1;
+      const y = (data[i + 1] / 255) * 2 - 1;
+      const z = (data[i + 2] / 255) * 2 - 1;
+      const n = [x * normalScale, y * normalScale, z];
+      normalizeInPlace(n);
+      for (let c = 0; c < 3; c++) data[i + c] = Math.round(((n[c] + 1) / 2) * 255);
+    }
+    for (let c = 0; c < 4; c++) {
+      if (mul[c] === 1 && add[c] === 0) continue;
+      const encoded = srgb && c < 3;
+      const v = encoded ? srgbToLinear(data[i + c] / 255) : data[i + c] / 255;
+      const out = Math.min(1, Math.max(0, v * mul[c] + add[c]));
+      data[i + c] = Math.round((encoded ? linearToSrgb(out) : out) * 255);
+    }
+  }
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+}
+
+function gray(v) {
+  return [v, v, v, 1];
+}
+
+function grayAlpha(v) {
+  return [v, v, v, v];
+}
+
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+// Linear RGBA (0–1) -> 8-bit texel in the slot's colour space.
+function encodeTexel(map, rgba) {
+  const srgb = MAP_SLOTS[map]?.colorSpace === 'srgb';
+  return rgba.map((c, i) => {
+    const v = Math.min(1, Math.max(0, c));
+    return Math.round((srgb && i < 3 ? linearToSrgb(v) : v) * 255);
+  });
+}
+
+function fallbackTexel(map, mat, scales) {
+  const slot = MAP_SLOTS[map];
+  const subject = slot.extension ? mat?.getExtension(slot.extension) || null : mat;
+  return encodeTexel(map, slot.fallback(subject, scales));
+}
+
+// Extension ranges that cannot be normalized into a texel on their own (thickness is unbounded,
+// iridescence thickness interpolates between min/max); the merged material carries the shared range.
+function computeExtensionScales(materials) {
+  const scales = {
+    thicknessFactor: 0,
+    iridescenceThicknessMinimum: Number.POSITIVE_INFINITY,
+    iridescenceThicknessMaximum: 0,
+  };
+  for (const mat of materials) {
+    const volume = mat.getExtension('KHR_materials_volume');
+    if (volume) scales.thicknessFactor = Math.max(scales.thicknessFactor, volume.getThicknessFactor());
+    const irid = mat.getExtension('KHR_materials_iridescence');
+    if (irid) {
+      scales.iridescenceThicknessMinimum = Math.min(scales.iridescenceThicknessMinimum, irid.getIridescenceThicknessMinimum());
+      scales.iridescenceThicknessMaximum = Math.max(scales.iridescenceThicknessMaximum, irid.getIridescenceThicknessMaximum());
+    }
+  }
+  if (!Number.isFinite(scales.iridescenceThicknessMinimum)) scales.iridescenceThicknessMinimum = 0;
+  return scales;
+}
+
+// Every [texture, textureInfo] pair a material references, core and extension slots alike.
+function listMaterialTextureSlots(mat) {
+  const slots = [
+    [mat.getBaseColorTexture(), mat.getBaseColorTextureInfo()],
+    [mat.getNormalTexture(), mat.getNormalTextureInfo()],
+    [mat.getMetallicRoughnessTexture(), mat.getMetallicRoughnessTextureInfo()],
+    [mat.getOcclusionTexture(), mat.getOcclusionTextureInfo()],
+    [mat.getEmissiveTexture(), mat.getEmissiveTextureInfo()],
+  ];
+  for (const map of EXTENSION_MAPS) {
+    slots.push([MAP_SLOTS[map].get(mat), MAP_SLOTS[map].info(mat)]);
+  }
+  return slots;
+}
+
+// Set sampler wrap on every slot of a material, or only the slots bound to `onlyTexture`.
+function setMaterialWrap(mat, wrapMode, onlyTexture = null) {
+  for (const [tex, info] of listMaterialTextureSlots(mat)) {
+    if (!tex || !info) continue;
+    if (onlyTexture && tex !== onlyTexture) continue;
+    info.setWrapS(wrapMode).setWrapT(wrapMode);
+  }
+}
+
+// Recreate the material extensions used by `sources` on `target`, wired for atlas textures.
+function applyMaterialExtensions(doc, target, sources, atlasTextures, scaleSources = sources) {
+  const scales = computeExtensionScales(scaleSources);
+  const atlased = Object.fromEntries(Object.keys(atlasTextures).map((m) => [m, true]));
+  for (const [name, def] of Object.entries(MATERIAL_EXTENSIONS)) {
+    const src = sources.map((m) => m.getExtension(name)).find(Boolean);
+    if (!src) continue;
+    const prop = def.create(doc.createExtension(def.ctor));
+    def.configure(prop, src, atlased, scales);
+    target.setExtension(name, prop);
+  }
+  for (const map of EXTENSION_MAPS) {
+    if (atlasTextures[map]) MAP_SLOTS[map].set(target, atlasTextures[map]);
+  }
+}
+
+// Detect materials whose (transform-baked) UVs leave 0–1 in any atlased slot and decide per material
+// whether to exclude them from the atlas or pre-tile their texture into the rect.
+function planTiling(doc, maps, canonicalMap, { policy = 'exclude', maxRepeat = 4 } = {}) {
+  if (!TILING_POLICIES.includes(policy)) {
+    throw new Error(`Unknown tiling policy "${policy}" (expected ${TILING_POLICIES.join(' | ')}).`);
+  }
+  const ranges = new Map(); // material -> { min, max, foreign }
+  for (const mesh of doc.getRoot().listMeshes()) {
+    for (const prim of mesh.listPrimitives()) {
+      const mat = prim.getMaterial();
+      if (!mat) continue;
+      const range = ranges.get(mat) || {
+        min: [Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY],
+        max: [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY],
+        foreign: false, // tiles in a UV space other than the packed map's, which pre-tiling cannot follow
+      };
+      const canonicalInfo = textureInfoForMap(mat, canonicalMap);
+      for (const map of maps) {
+        // The packed map's UVs are remapped even for factor-only rects; other maps only sample through a texture.
+        if (map !== canonicalMap && !MAP_SLOTS[map].get(mat)) continue;
+        const info = textureInfoForMap(mat, map);
+        const uvAcc = prim.getAttribute(`TEXCOORD_${info?.getTexCoord() ?? 0}`);
+        if (!uvAcc) continue;
+        const uv = readFloatArray(uvAcc);
+        const t = info?.getExtension?.('KHR_texture_transform');
+        if (t) bakeTextureTransformInPlace(uv, t);
+        const min = [Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY];
+        const max = [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY];
+        for (let i = 0; i < uv.length; i += 2) {
+          min[0] = Math.min(min[0], uv[i]);
+          min[1] = Math.min(min[1], uv[i + 1]);
+          max[0] = Math.max(max[0], uv[i]);
+          max[1] = Math.max(max[1], uv[i + 1]);
+        }
+        // Slots in another UV space only matter when they tile; their in-range UVs say nothing about the grid.
+        if (!sameUvSpace(info, canonicalInfo)) {
+          if (!leavesUnitSquare(min, max)) continue;
+          range.foreign = true;
+        }
+        for (const k of [0, 1]) {
+          range.min[k] = Math.min(range.min[k], min[k]);
+          range.max[k] = Math.max(range.max[k], max[k]);
+        }
+      }
+      ranges.set(mat, range);
+    }
+  }
+
+  const plan = new Map();
+  const report = [];
+  for (const [mat, { min, max, foreign }] of ranges) {
+    const tiles = leavesUnitSquare(min, max);
+    if (!tiles) continue;
+    const originU = Math.floor(min[0] + TILING_EPSILON);
+    const originV = Math.floor(min[1] + TILING_EPSILON);
+    const repeatU = Math.max(1, Math.ceil(max[0] - TILING_EPSILON) - originU);
+    const repeatV = Math.max(1, Math.ceil(max[1] - TILING_EPSILON) - originV);
+    const name = mat.getName() || '(unnamed)';
+    const desc = `${name}: u [${min[0].toFixed(3)}, ${max[0].toFixed(3)}] v [${min[1].toFixed(3)}, ${max[1].toFixed(3)}] (${repeatU}x${repeatV} repeats)`;
+    report.push(desc);
+
+    let action = policy;
+    if (policy === 'pretile' && foreign) {
+      console.warn(
+        `[atlasgen] ${desc} outside the ${canonicalMap} map's UVs; excluding from atlas instead of pre-tiling.`
+      );
+      action = 'exclude';
+    } else if (policy === 'pretile' && (repeatU > maxRepeat || repeatV > maxRepeat)) {
+      console.warn(
+        `[atlasgen] ${desc} exceeds tile-max-repeat ${maxRepeat}; excluding from atlas instead of pre-tiling.`
+      );
+      action = 'exclude';
+    } else if (policy === 'exclude') {
+      console.warn(`[atlasgen] ${desc}; keeping it out of the atlas with a REPEAT sampler.`);
+    } else if (policy === 'pretile') {
+      console.log(`[atlasgen] ${desc}; pre-tiling its textures into the atlas rect.`);
+    }
+    plan.set(mat, {
+      action,
+      min,
+      max,
+      originU,
+      originV,
+      repeatU,
+      repeatV,
+      key: `${originU},${originV},${repeatU},${repeatV}`,
+    });
+  }
+
+  if (policy === 'fail' && report.length) {
+    throw new Error(
+      `Tiling UVs (outside 0–1) cannot be atlased without artifacts (tiling=fail):\n  - ${report.join('\n  - ')}`
+    );
+  }
+  return plan;
+}
+
+function leavesUnitSquare(min, max) {
+  return (
+    min[0] < -TILING_EPSILON || min[1] < -TILING_EPSILON || max[0] > 1 + TILING_EPSILON || max[1] > 1 + TILING_EPSILON
+  );
+}
+
+// The texel-aligned UV region an entry's primitives sample, grown by `margin` texels, or null when
+// cropping would not shrink it or is unsafe (texture transforms, tiling, UVs outside 0–1). With
+// `trimAlpha` on a blended/masked texture, triangles covering only fully transparent texels are
+// left out; the remap clamps their UVs onto the transparent margin.
+async function usedTextureRegion(doc, entry, { infoOf, tilingPlan, margin, trimAlpha }) {
+  const { width, height, materials } = entry;
+  if (materials.some((mat) => tilingPlan.has(mat) || infoOf(mat)?.getExtension('KHR_texture_transform'))) {
+    return null;
+  }
+  const opaque =
+    trimAlpha && materials.every((mat) => mat.getAlphaMode() !== 'OPAQUE') ? await opaqueBounds(entry.buffer) : null;
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const uv = [];
+  for (const mesh of doc.getRoot().listMeshes()) {
+    for (const prim of mesh.listPrimitives()) {
+      const mat = prim.getMaterial();
+      if (!materials.includes(mat)) continue;
+      const accessor = prim.getAttribute(`TEXCOORD_${infoOf(mat)?.getTexCoord() ?? 0}`);
+      if (!accessor) continue;
+      for (const tri of listTriangles(prim)) {
+        const corners = tri.map((i) => accessor.getElement(i, uv).slice());
+        const min = [Math.min(...corners.map((c) => c[0])), Math.min(...corners.map((c) => c[1]))];
+        const max = [Math.max(...corners.map((c) => c[0])), Math.max(...corners.map((c) => c[1]))];
+        if (min[0] < 0 || min[1] < 0 || max[0] > 1 || max[1] > 1) return null;
+        // Skip triangles that only ever sample transparent texels (one texel of slack for filtering).
+        if (opaque && (max[0] * width < opaque.x0 - 1 || min[0] * width > opaque.x1 + 1)) continue;
+        if (opaque && (max[1] * height < opaque.y0 - 1 || min[1] * height > opaque.y1 + 1)) continue;
+        bounds[0] = Math.min(bounds[0], min[0]);
+        bounds[1] = Math.min(bounds[1], min[1]);
+        bounds[2] = Math.max(bounds[2], max[0]);
+        bounds[3] = Math.max(bounds[3], max[1]);
+      }
+    }
+  }
+  if (!isFinite(bounds[0])) return null;
+  const x0 = Math.max(0, Math.floor(bounds[0] * width) - margin);
+  const y0 = Math.max(0, Math.floor(bounds[1] * height) - margin);
+  const x1 = Math.min(width, Math.max(x0 + 1, Math.ceil(bounds[2] * width) + margin));
+  const y1 = Math.min(height, Math.max(y0 + 1, Math.ceil(bounds[3] * height) + margin));
+  if (x0 === 0 && y0 === 0 && x1 === width && y1 === height) return null;
+  return { u0: x0 / width, v0: y0 / height, u1: x1 / width, v1: y1 / height };
+}
+
+// Pixel bounds (exclusive max) of texels with non-zero alpha; null when nothing is transparent.
+async function opaqueBounds(buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let x0 = info.width;
+  let y0 = info.height;
+  let x1 = 0;
+  let y1 = 0;
+  let transparent = false;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * 4 + 3] === 0) {
+        transparent = true;
+        continue;
+      }
+      x0 = Math.min(x0, x);
+      y0 = Math.min(y0, y);
+      x1 = Math.max(x1, x + 1);
+      y1 = Math.max(y1, y + 1);
+    }
+  }
+  return transparent ? { x0, y0, x1, y1 } : null;
+}
+
+// Vertex index triples of a primitive's triangles; other modes yield each vertex as a point.
+function listTriangles(prim) {
+  const { mode, indices } = listPrimitiveIndices(prim);
+  const count = indices ? indices.length : prim.getAttribute('POSITION').getCount();
+  const at = (i) => (indices ? indices[i] : i);
+  const tris = [];
+  if (mode === Primitive.Mode.TRIANGLES) {
+    for (let i = 0; i + 2 < count; i += 3) tris.push([at(i), at(i + 1), at(i + 2)]);
+  } else {
+    for (let i = 0; i < count; i++) tris.push([at(i)]);
+  }
+  return tris;
+}
+
+// Replace an entry's image with the normalized `region` of it.
+async function cropEntry(entry, region) {
+  const left = Math.round(region.u0 * entry.width);
+  const top = Math.round(region.v0 * entry.height);
+  const width = Math.max(1, Math.min(entry.width - left, Math.round((region.u1 - region.u0) * entry.width)));
+  const height = Math.max(1, Math.min(entry.height - top, Math.round((region.v1 - region.v0) * entry.height)));
+  entry.buffer = await sharp(entry.buffer).extract({ left, top, width, height }).png().toBuffer();
+  entry.width = width;
+  entry.height = height;
+  entry.crop = region;
+}
+
+// Repeat an image into a repeatU x repeatV grid so a tiling material can sample it from one rect.
+async function tileImageBuffer(buffer, width, height, repeatU, repeatV) {
+  const tile = await sharp(buffer).resize(width, height, { fit: 'fill' }).png().toBuffer();
+  const composites = [];
+  for (let j = 0; j < repeatV; j++) {
+    for (let i = 0; i < repeatU; i++) {
+      composites.push({ input: tile, left: i * width, top: j * height });
+    }
+  }
+  return sharp({
+    create: {
+      width: width * repeatU,
+      height: height * repeatV,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(composites)
+    .png()
+    .toBuffer();
+}
+
+// World-space area, UV-space area and their ratio per material. The ratio is the world area one
+// whole texture covers, so sizing rects by it gives every material the same texel density.
+function computeMaterialDensity(doc, infoOf) {
+  const density = new Map();
+  for (const node of doc.getRoot().listNodes()) {
+    const mesh = node.getMesh();
+    if (!mesh) continue;
+    const world = node.getWorldMatrix();
     for (const prim of mesh.listPrimitives()) {
       const mat = prim.getMaterial();
-      const name = mat?.getName() || '';
-      const area = primitiveArea(prim);
-      areas.set(name, (areas.get(name) || 0) + area);
+      if (!mat) continue;
+      const info = infoOf(mat);
+      // A texture transform scales how much of the image each UV unit covers.
+      const scale = info?.getExtension('KHR_texture_transform')?.getScale() || [1, 1];
+      const areas = primitiveAreas(prim, world, info?.getTexCoord() ?? 0);
+      const entry = density.get(mat) || { worldArea: 0, uvArea: 0 };
+      entry.worldArea += areas.world;
+      entry.uvArea += areas.uv * Math.abs(scale[0] * scale[1]);
+      density.set(mat, entry);
+    }
+  }
+  for (const entry of density.values()) {
+    entry.ratio = entry.uvArea > 0 ? entry.worldArea / entry.uvArea : 0;
+  }
+  return density;
+}
+
+function primitiveAreas(prim, world, texCoord) {
+  const position = prim.getAttribute('POSITION');
+  const uv = prim.getAttribute(`TEXCOORD_${texCoord}`);
+  const areas = { world: 0, uv: 0 };
+  if (!position) return areas;
+  for (const tri of listTriangles(prim)) {
+    if (tri.length < 3) continue;
+    const [a, b, c] = tri.map((i) => transformPoint(world, position.getElement(i, [])));
+    areas.world += triangleArea(a, b, c);
+    if (uv) {
+      const [p, q, r] = tri.map((i) => [...uv.getElement(i, []), 0]);
+      areas.uv += triangleArea(p, q, r);
     }
   }
   return areas;
 }
 
-function primitiveArea(prim) {
-  const posAcc = prim.getAttribute('POSITION');
-  if (!posAcc) return 0;
-  const arr = posAcc.getArray();
-  const idxAcc = prim.getIndices();
-  let area = 0;
-  const triCount = idxAcc ? idxAcc.getCount() / 3 : arr.length / 9;
-  const indexArray = idxAcc ? idxAcc.getArray() : null;
-  const getV = (i) => {
-    const idx = idxAcc ? indexArray[i] * 3 : i * 3;
-    return [arr[idx], arr[idx + 1], arr[idx + 2]];
+// Sizing inputs plus the texel density (texels per world unit) the material ends up with.
+function describeDensity({ worldArea, uvArea, ratio }, rect, tiling) {
+  const crop = rect.data?.crop || rect.crop;
+  const cropArea = crop ? (crop.u1 - crop.u0) * (crop.v1 - crop.v0) : 1;
+  const repeats = tiling ? tiling.repeatU * tiling.repeatV : 1;
+  const texels = (rect.width * rect.height) / cropArea / repeats;
+  const round = (n) => Math.round(n * 1e4) / 1e4;
+  return {
+    worldArea: round(worldArea),
+    uvArea: round(uvArea),
+    ratio: round(ratio),
+    texelsPerUnit: worldArea > 0 ? round(Math.sqrt((uvArea * texels) / worldArea)) : 0,
   };
-  for (let t = 0; t < triCount; t++) {
-    const i0 = t * 3;
-    const v0 = getV(i0);
-    const v1 = getV(i0 + 1);
-    const v2 = getV(i0 + 2);
-    area += triangleArea(v0, v1, v2);
-  }
-  return area;
 }
 
 function triangleArea(a, b, c) {
@@ -942,11 +2848,12 @@ function clampPow2(n, min, max) {
   return p;
 }
 
-// Heuristic: promote larger materials into bigger pow2 buckets while respecting maxSize.
-function suggestSizeBestFill(matArea, maxMatArea, maxSize, srcW, srcH) {
+// Heuristic: promote materials whose texture covers more world area per UV area into bigger pow2
+// buckets while respecting maxSize.
+function suggestSizeBestFill(ratio, maxRatio, maxSize, srcW, srcH) {
   const allowed = [256, 512, 1024, 2048, 4096].filter((n) => n <= maxSize);
-  const base = nearestPow2(Math.min(srcW, srcH, maxSize));
-  const rel = maxMatArea > 0 ? matArea / maxMatArea : 0;
+  const base = nearestPow2(Math.min(Math.max(srcW, srcH), maxSize));
+  const rel = maxRatio > 0 ? ratio / maxRatio : 0;
   let target = base;
   if (rel >= 0.6) target = Math.max(target, 2048);
   else if (rel >= 0.35) target = Math.max(target, 1024);
@@ -957,104 +2864,285 @@ function suggestSizeBestFill(matArea, maxMatArea, maxSize, srcW, srcH) {
   return clampPow2(target, allowed[0], maxSize);
 }
 
-// Merge all primitives of a mesh into a single primitive to minimize draw calls.
+// Merge every sizing rule matching one of the materials or the texture; null when none applies.
+function resolveSizingRule(rules, materials, texture) {
+  const names = {
+    material: materials.map((m) => m.getName()),
+    texture: [texture.getName()],
+  };
+  const matched = rules.filter((rule) =>
+    (rule.scope === 'any' ? [...names.material, ...names.texture] : names[rule.scope]).some((n) =>
+      rule.pattern.test(n)
+    )
+  );
+  if (!matched.length) return null;
+  const merged = Object.assign({}, ...matched.map(({ scope, pattern, ...fields }) => fields));
+  merged.label = matched.map((rule) => rule.label).join(' + ');
+  return merged;
+}
+
+function applySizingRule(rule, targetSize, sourceSize, maxSize) {
+  let size = targetSize;
+  if (rule.neverDownscale) size = Math.max(size, sourceSize);
+  if (rule.size) size = rule.size;
+  if (rule.minSize) size = Math.max(size, rule.minSize);
+  if (rule.maxSize) size = Math.min(size, rule.maxSize);
+  return Math.max(1, Math.min(size, maxSize));
+}
+
+function describeSizingRule(rule) {
+  const parts = [...SIZING_RULE_FIELDS, 'neverDownscale']
+    .filter((field) => rule[field] !== undefined)
+    .map((field) => `${field} ${rule[field]}`);
+  return parts.join(', ');
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((c) => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Merge the primitives of a mesh into a single primitive per material to minimize draw calls.
 function mergePrimitivesIntoOne(mesh, doc) {
   const prims = mesh.listPrimitives();
-  if (prims.length <= 1) return;
+  // Morph targets are matched by name; every primitive of a mesh must carry the same list.
+  const targetNames = [...new Set(prims.flatMap((p) => p.listTargets().map((t) => t.getName())))];
+  if (targetNames.length) {
+    const weights = targetNames.map((name) => {
+      const target = prims.flatMap((p) => p.listTargets()).find((t) => t.getName() === name);
+      return morphTargetWeights.get(target) ?? 0;
+    });
+    mesh.setWeights(weights);
+  }
+  if (prims.length <= 1 && !targetNames.length) return;
+
+  // Triangles, lines and points only concatenate with their own kind.
+  const groups = new Map(); // material -> list mode -> primitives
+  for (const prim of prims) {
+    const material = prim.getMaterial() || null;
+    const mode = listModeOf(prim.getMode());
+    if (!groups.has(material)) groups.set(material, new Map());
+    const byMode = groups.get(material);
+    if (!byMode.has(mode)) byMode.set(mode, []);
+    byMode.get(mode).push(prim);
+  }
 
-  // Choose canonical attributes to keep.
-  const keepAttrs = ['POSITION', 'NORMAL', 'TANGENT', 'TEXCOORD_0'];
+  const merged = [];
+  for (const group of [...groups.values()].flatMap((byMode) => [...byMode.values()])) {
+    // Lone primitives are rebuilt too when targets need aligning to the mesh-wide list.
+    const newPrim = group.length > 1 || targetNames.length ? mergePrimitiveGroup(group, doc, targetNames) : null;
+    if (newPrim) merged.push(newPrim);
+    else merged.push(...group);
+  }
+
+  // Replace primitives.
+  prims.forEach((p) => mesh.removePrimitive(p));
+  merged.forEach((p) => mesh.addPrimitive(p));
+}
+
+function mergePrimitiveGroup(prims, doc, targetNames = []) {
+  const sources = prims.filter((prim) => prim.getAttribute('POSITION'));
   const newPrim = doc.createPrimitive();
   let indexBase = 0;
-  const positions = [];
-  const normals = [];
-  const tangents = [];
-  const uvs = [];
   const indices = [];
 
-  // Collect and concatenate.
-  for (const prim of prims) {
-    const pos = prim.getAttribute('POSITION');
-    if (!pos) continue;
-    const norm = prim.getAttribute('NORMAL');
-    const tan = prim.getAttribute('TANGENT');
-    const uv = prim.getAttribute('TEXCOORD_0');
-    const idx = prim.getIndices();
-
-    const addVec3 = (attr, arr) => {
-      if (!attr) return;
-      const array = attr.getArray();
-      for (let i = 0; i < array.length; i += 3) {
-        arr.push(array[i], array[i + 1], array[i + 2]);
-      }
-    };
-    const addVec4 = (attr, arr) => {
-      if (!attr) return;
-      const array = attr.getArray();
-      for (let i = 0; i < array.length; i += 4) {
-        arr.push(array[i], array[i + 1], array[i + 2], array[i + 3]);
-      }
-    };
-    const addVec2 = (attr, arr) => {
-      if (!attr) return;
-      const array = attr.getArray();
-      for (let i = 0; i < array.length; i += 2) {
-        arr.push(array[i], array[i + 1]);
-      }
-    };
-
-    addVec3(pos, positions);
-    addVec3(norm, normals);
-    addVec4(tan, tangents);
-    addVec2(uv, uvs);
-
-    if (idx) {
-      const idxArray = idx.getArray();
+  // Concatenate list indices (or implicit vertex order) with each primitive's vertex offset.
+  for (const prim of sources) {
+    const vertCount = prim.getAttribute('POSITION').getCount();
+    const idxArray = listPrimitiveIndices(prim).indices;
+    if (idxArray) {
       for (let i = 0; i < idxArray.length; i++) {
         indices.push(idxArray[i] + indexBase);
       }
-      indexBase += pos.getCount();
     } else {
-      const vertCount = pos.getCount();
       for (let i = 0; i < vertCount; i++) {
         indices.push(i + indexBase);
       }
-      indexBase += vertCount;
     }
+    indexBase += vertCount;
   }
 
-  if (!positions.length || !indices.length) return;
+  if (!sources.length || !indices.length) return null;
 
-  const createAccessor = (arr, type, componentType = 5126) => {
-    // 5126 = FLOAT, 5123 = UNSIGNED_SHORT, 5125 = UNSIGNED_INT
-    const accessor = doc.createAccessor().setType(type).setArray(new Float32Array(arr));
-    return accessor;
-  };
+  // Every attribute any primitive carries survives; gaps get per-semantic defaults.
+  const semantics = new Set(sources.flatMap((prim) => prim.listSemantics()));
+  for (const semantic of semantics) {
+    newPrim.setAttribute(semantic, concatAttribute(semantic, sources, doc));
+  }
 
-  newPrim.setAttribute('POSITION', createAccessor(positions, 'VEC3'));
-  if (normals.length === positions.length) newPrim.setAttribute('NORMAL', createAccessor(normals, 'VEC3'));
-  if (tangents.length === (positions.length / 3) * 4) newPrim.setAttribute('TANGENT', createAccessor(tangents, 'VEC4'));
-  if (uvs.length === (positions.length / 3) * 2) newPrim.setAttribute('TEXCOORD_0', createAccessor(uvs, 'VEC2'));
+  // Primitives without a given target contribute zero deltas.
+  for (const name of targetNames) {
+    const targetOf = (prim) => prim.listTargets().find((t) => t.getName() === name) || null;
+    const target = doc.createPrimitiveTarget(name);
+    const targetSemantics = new Set(sources.flatMap((prim) => targetOf(prim)?.listSemantics() || []));
+    for (const semantic of targetSemantics) {
+      const accessorOf = (prim) => targetOf(prim)?.getAttribute(semantic) || null;
+      target.setAttribute(semantic, concatAttribute(semantic, sources, doc, accessorOf, zeroDefault));
+    }
+    newPrim.addTarget(target);
+  }
 
-  const indexComponent = indices.length > 65535 ? 5125 : 5123; // uint32 or uint16
-  const idxArray = indexComponent === 5125 ? new Uint32Array(indices) : new Uint16Array(indices);
-  const indexAccessor = doc.createAccessor().setType('SCALAR').setArray(idxArray);
-  newPrim.setIndices(indexAccessor);
+  newPrim.setMode(listModeOf(sources[0].getMode()));
+  newPrim.setIndices(createIndexAccessor(indices, doc));
 
   // Use the material from the first primitive (they should already be unified).
   const firstMat = prims[0].getMaterial();
   if (firstMat) newPrim.setMaterial(firstMat);
 
-  // Replace primitives.
-  mesh.listPrimitives().forEach((p) => mesh.removePrimitive(p));
-  mesh.addPrimitive(newPrim);
+  return newPrim;
+}
+
+// Concatenate one vertex attribute across primitives. When every source shares element size,
+// component type and normalized flag the raw layout is kept; otherwise values are widened to
+// float. Primitives lacking the attribute are filled with `defaultOf` (morph targets pass their own
+// accessor lookup and zero deltas).
+function concatAttribute(
+  semantic,
+  prims,
+  doc,
+  accessorOf = (prim) => prim.getAttribute(semantic),
+  defaultOf = attributeDefault
+) {
+  const accessors = prims.map(accessorOf);
+  const present = accessors.filter(Boolean);
+  const elementSize = Math.max(...present.map((a) => a.getElementSize()));
+  const type = present.find((a) => a.getElementSize() === elementSize).getType();
+  const first = present[0];
+  const uniform = present.every(
+    (a) =>
+      a.getElementSize() === elementSize &&
+      a.getArray().constructor === first.getArray().constructor &&
+      a.getNormalized() === first.getNormalized()
+  );
+  const { ArrayType, normalized } = uniform
+    ? { ArrayType: first.getArray().constructor, normalized: first.getNormalized() }
+    : widenedComponentType(semantic, present);
+  const encode = normalized ? normalizedEncoder(ArrayType) : (v) => v;
+
+  const total = prims.reduce((n, prim) => n + prim.getAttribute('POSITION').getCount(), 0);
+  const out = new ArrayType(total * elementSize);
+  let offset = 0;
+  prims.forEach((prim, i) => {
+    const count = prim.getAttribute('POSITION').getCount();
+    const src = accessors[i];
+    if (src && uniform) {
+      out.set(src.getArray().subarray(0, count * elementSize), offset);
+    } else {
+      const fallback = defaultOf(semantic, elementSize, prim);
+      const el = [];
+      for (let v = 0; v < count; v++) {
+        const def = fallback(v);
+        // getElement decodes normalized sources, so mixed layouts meet in float space.
+        const values = src ? src.getElement(v, el) : def;
+        for (let c = 0; c < elementSize; c++) {
+          out[offset + v * elementSize + c] = encode(c < values.length ? values[c] : def[c]);
+        }
+      }
+    }
+    offset += count * elementSize;
+  });
+
+  return doc.createAccessor().setType(type).setArray(out).setNormalized(normalized);
+}
+
+// Component type that holds every source of a mixed-layout attribute and is still valid glTF:
+// JOINTS only allow unsigned byte/short, so they widen to Uint16; all-normalized sources (colours,
+// quantized UVs or weights) widen to the widest normalized integer among them; the rest to float.
+function widenedComponentType(semantic, accessors) {
+  if (semantic.startsWith('JOINTS_')) return { ArrayType: Uint16Array, normalized: false };
+  if (accessors.every((a) => a.getNormalized())) {
+    const types = accessors.map((a) => a.getArray().constructor);
+    const signed = types.some((T) => T === Int8Array || T === Int16Array);
+    const wide = types.some((T) => T === Uint16Array || T === Int16Array);
+    const ArrayType = signed ? (wide ? Int16Array : Int8Array) : wide ? Uint16Array : Uint8Array;
+    return { ArrayType, normalized: true };
+  }
+  return { ArrayType: Float32Array, normalized: false };
+}
+
+// Default value for vertex `v` of a primitive without `semantic`: white vertex colour, +X tangent,
+// single-influence weights, flat-shaded normals, zero for everything else (UVs, joints, custom).
+function attributeDefault(semantic, elementSize, prim) {
+  const pad = (values) => Array.from({ length: elementSize }, (_, c) => values[c] ?? 0);
+  if (semantic.startsWith('COLOR_')) {
+    const white = pad([1, 1, 1, 1]);
+    return () => white;
+  }
+  if (semantic === 'TANGENT') {
+    const tangent = pad([1, 0, 0, 1]);
+    return () => tangent;
+  }
+  if (semantic === 'WEIGHTS_0') {
+    const weights = pad([1]);
+    return () => weights;
+  }
+  if (semantic === 'NORMAL') {
+    const normals = computeVertexNormals(prim);
+    return (v) => normals.subarray(v * 3, v * 3 + 3);
+  }
+  const zero = pad([]);
+  return () => zero;
+}
+
+function zeroDefault(semantic, elementSize) {
+  const zero = new Array(elementSize).fill(0);
+  return () => zero;
+}
+
+// Area-weighted vertex normals for a triangle list; +Z where a vertex touches no triangle.
+function computeVertexNormals(prim) {
+  const pos = prim.getAttribute('POSITION');
+  const count = pos.getCount();
+  const normals = new Float32Array(count * 3);
+  const idx = prim.getIndices()?.getArray();
+  const triCount = prim.getMode() === 4 ? Math.floor((idx ? idx.length : count) / 3) : 0;
+  const a = [];
+  const b = [];
+  const c = [];
+  for (let t = 0; t < triCount; t++) {
+    const i0 = idx ? idx[t * 3] : t * 3;
+    const i1 = idx ? idx[t * 3 + 1] : t * 3 + 1;
+    const i2 = idx ? idx[t * 3 + 2] : t * 3 + 2;
+    pos.getElement(i0, a);
+    pos.getElement(i1, b);
+    pos.getElement(i2, c);
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    for (const i of [i0, i1, i2]) {
+      normals[i * 3] += n[0];
+      normals[i * 3 + 1] += n[1];
+      normals[i * 3 + 2] += n[2];
+    }
+  }
+  for (let i = 0; i < count; i++) {
+    const n = normals.subarray(i * 3, i * 3 + 3);
+    if (!n[0] && !n[1] && !n[2]) n[2] = 1;
+    normalizeInPlace(n);
+  }
+  return normals;
+}
+
+// Float (0–1 or -1–1) -> normalized integer component for the given typed array.
+function normalizedEncoder(ArrayType) {
+  const max = { Uint8Array: 255, Uint16Array: 65535, Int8Array: 127, Int16Array: 32767 }[ArrayType.name] || 1;
+  const min = ArrayType.name.startsWith('Int') ? -1 : 0;
+  return (v) => Math.round(Math.min(1, Math.max(min, v)) * max);
 }
 
 async function resizePackInputToScale(packInput, scale) {
   const result = [];
   for (const item of packInput) {
-    const newW = Math.max(1, Math.floor(item.width * scale));
-    const newH = Math.max(1, Math.floor(item.height * scale));
+    const itemScale = rectScale(item.data, scale);
+    if (itemScale === 1) {
+      result.push(item);
+      continue;
+    }
+    const newW = Math.max(1, Math.floor(item.width * itemScale));
+    const newH = Math.max(1, Math.floor(item.height * itemScale));
     const buffer = await sharp(item.data.buffer)
       .resize(newW, newH, { fit: 'inside' })
       .toBuffer();
@@ -1073,23 +3161,32 @@ async function resizePackInputToScale(packInput, scale) {
   return result;
 }
 
-async function findBestScaleForSingleBin(rects, maxSize, padding) {
+// The scale one entry takes when the atlas is scaled by `scale`: a sizing rule's priority weight p
+// shrinks it by scale^(1/p), so heavier entries give up fewer texels; never-downscale keeps it whole.
+function rectScale(entry, scale) {
+  const sizing = entry?.sizing;
+  if (!sizing || scale >= 1) return scale;
+  if (sizing.neverDownscale) return 1;
+  return scale ** (1 / (sizing.priority ?? 1));
+}
+
+async function findBestScaleForSingleBin(rects, maxSize, padding, align = 1, allowRotation = false) {
   // Fast check at full scale.
-  if (canPack(rects, maxSize, padding, 1, 1)) return 1;
+  if (canPack(rects, maxSize, padding, 1, 1, align, allowRotation)) return 1;
 
   // Find a fitting upper bound by shrinking from 1 until fit.
   let high = 1;
-  while (high > 0.01 && !canPack(rects, maxSize, padding, 1, high)) {
+  while (high > 0.01 && !canPack(rects, maxSize, padding, 1, high, align, allowRotation)) {
     high *= 0.5;
   }
-  if (high <= 0.01 && !canPack(rects, maxSize, padding, 1, high)) {
+  if (high <= 0.01 && !canPack(rects, maxSize, padding, 1, high, align, allowRotation)) {
     throw new Error(`Could not fit into a single atlas even after aggressive downscale.`);
   }
   let low = 0;
   let best = high;
   for (let i = 0; i < 10; i++) {
     const mid = (low + high) / 2;
-    if (canPack(rects, maxSize, padding, 1, mid)) {
+    if (canPack(rects, maxSize, padding, 1, mid, align, allowRotation)) {
       best = mid;
       low = mid;
     } else {
@@ -1099,14 +3196,14 @@ async function findBestScaleForSingleBin(rects, maxSize, padding) {
   return best;
 }
 
-function canPack(rects, maxSize, padding, maxBins, scale) {
+function canPack(rects, maxSize, padding, maxBins, scale, align = 1, allowRotation = false) {
   const scaled = rects.map((r) => ({
     ...r,
-    width: Math.max(1, Math.floor(r.width * scale)),
-    height: Math.max(1, Math.floor(r.height * scale)),
+    width: Math.max(1, Math.floor(r.width * rectScale(r.data, scale))),
+    height: Math.max(1, Math.floor(r.height * rectScale(r.data, scale))),
   }));
   try {
-    const { bins } = packIntoAtlas(scaled, maxSize, padding, maxBins);
+    const { bins } = packIntoAtlas(scaled, maxSize, padding, maxBins, align, allowRotation);
     return bins.length <= maxBins;
   } catch (e) {
     return false;
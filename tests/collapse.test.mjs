@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseToSingleMeshAndMaterial } from '../scripts/atlas-lib.mjs';
+import { createDocument, addTriangleNode, readElements, loadWebModule } from './helpers.mjs';
+
+const collapsers = {
+  node: async () => collapseToSingleMeshAndMaterial,
+  'browser worker': async () =>
+    (await loadWebModule('atlas-worker.js', ['collapseToSingleMeshAndMaterial'])).collapseToSingleMeshAndMaterial,
+};
+
+for (const [label, load] of Object.entries(collapsers)) {
+  test(`primitives without a material stay material-less (${label})`, async () => {
+    const collapse = await load();
+    const doc = createDocument();
+    addTriangleNode(doc, { name: 'Painted', material: doc.createMaterial('Paint') });
+    addTriangleNode(doc, { name: 'Bare', translation: [2, 0, 0] });
+    await collapse(doc, {});
+
+    const [mesh] = doc.getRoot().listMeshes();
+    const materials = mesh.listPrimitives().map((p) => p.getMaterial()?.getName() ?? null);
+    assert.equal(materials.length, 2);
+    assert.ok(materials.includes(null));
+    assert.ok(materials.some((name) => name !== null));
+  });
+}
+
+for (const [label, load] of Object.entries(collapsers)) {
+  test(`materials of different render states keep separate primitives (${label})`, async () => {
+    const collapse = await load();
+    const doc = createDocument();
+    addTriangleNode(doc, { name: 'Solid', material: doc.createMaterial('Solid') });
+    addTriangleNode(doc, { name: 'Solid2', material: doc.createMaterial('Solid2'), translation: [2, 0, 0] });
+    const glass = doc.createMaterial('Glass').setAlphaMode('BLEND').setDoubleSided(true);
+    addTriangleNode(doc, { name: 'Glass', material: glass, translation: [4, 0, 0] });
+    await collapse(doc, {});
+
+    // Glass sits at x >= 4; every primitive holds only triangles of its own material's state.
+    const [mesh] = doc.getRoot().listMeshes();
+    for (const prim of mesh.listPrimitives()) {
+      const glassy = readElements(prim.getAttribute('POSITION')).map(([x]) => x >= 4);
+      const blend = prim.getMaterial().getAlphaMode() === 'BLEND';
+      assert.ok(glassy.every((g) => g === blend));
+      assert.equal(prim.getMaterial().getDoubleSided(), blend);
+    }
+  });
+}
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {
+  createDocument,
+  addTriangleNode,
+  addSolidTexture,
+  meanUv,
+  readElements,
+  sampleTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+async function createPaintedDocument() {
+  const doc = createDocument();
+  for (const [i, [name, rgba]] of [
+    ['Red', RED],
+    ['Blue', BLUE],
+  ].entries()) {
+    const material = doc.createMaterial(name).setBaseColorTexture(await addSolidTexture(doc, name, rgba));
+    addTriangleNode(doc, { name, material, normals: [0, 0, 1, 0, 0, 1, 0, 0, 1], translation: [i * 2, 0, 0] });
+  }
+  return doc;
+}
+
+// The single merged primitive: both triangles, still in place and sampling their own colours.
+// Quantization moves positions into a normalized range and the node's transform.
+async function assertPainted(doc) {
+  const node = doc.getRoot().listNodes().find((n) => n.getMesh());
+  const [prim] = node.getMesh().listPrimitives();
+  const m = node.getWorldMatrix();
+  const worldX = ([x, y, z]) => m[0] * x + m[4] * y + m[8] * z + m[12];
+  const positions = readElements(prim.getAttribute('POSITION'));
+  const triangles = prim.getIndices() ? prim.getIndices().getCount() / 3 : positions.length / 3;
+  assert.equal(triangles, 2);
+  const xs = positions.map(worldX);
+  assert.ok(Math.abs(Math.min(...xs)) < 1e-3 && Math.abs(Math.max(...xs) - 3) < 1e-3, `x spans ${xs}`);
+  const texture = prim.getMaterial().getBaseColorTexture();
+  assert.deepEqual(await sampleTexture(texture, meanUv(prim, (p) => worldX(p) < 1.5)), RED);
+  assert.deepEqual(await sampleTexture(texture, meanUv(prim, (p) => worldX(p) > 1.5)), BLUE);
+}
+
+for (const [codec, extension] of [
+  ['draco', 'KHR_draco_mesh_compression'],
+  ['meshopt', 'EXT_meshopt_compression'],
+]) {
+  test(`--quantize --compress ${codec} output reads back and atlases again`, async (t) => {
+    const { dir, cleanup } = await createTempDir();
+    t.after(cleanup);
+    const input = path.join(dir, 'painted.glb');
+    const compressed = path.join(dir, `painted.${codec}.glb`);
+    const again = path.join(dir, `painted.${codec}.again.glb`);
+    await writeDocument(await createPaintedDocument(), input);
+    const args = ['--maps', 'basecolor', '--format-basecolor', 'png', '--quantize', '--compress', codec];
+    await runCli(['-i', input, '-o', compressed, ...args]);
+
+    const out = await readDocument(compressed);
+    const used = out.getRoot().listExtensionsUsed().map((ext) => ext.extensionName);
+    assert.ok(used.includes(extension), used.join());
+    assert.ok(used.includes('KHR_mesh_quantization'), used.join());
+    await assertPainted(out);
+
+    // Compressed, quantized input goes through the whole pipeline once more.
+    await runCli(['-i', compressed, '-o', again, ...args]);
+    await assertPainted(await readDocument(again));
+  });
+}
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { KHRMaterialsClearcoat } from '@gltf-transform/extensions';
+import {
+  createDocument,
+  addTriangleNode,
+  atlasUv,
+  sampleTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+// Left half opaque `rgb`, right half fully transparent black.
+function halfTransparentPng([r, g, b], size = 16) {
+  const data = Buffer.alloc(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size / 2; x++) data.set([r, g, b, 255], (y * size + x) * 4);
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 4 } }).png().toBuffer();
+}
+
+test('full dilation writes webp atlases with transparent texels as PNG', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const doc = createDocument();
+  const texture = async (name, rgb) =>
+    doc.createTexture(name).setImage(await halfTransparentPng(rgb)).setMimeType('image/png');
+  const material = doc
+    .createMaterial('Cutout')
+    .setAlphaMode('MASK')
+    .setBaseColorTexture(await texture('color', [255, 0, 0]))
+    .setNormalTexture(await texture('normal', [128, 128, 255]));
+  addTriangleNode(doc, { material });
+  const input = path.join(dir, 'cutout.glb');
+  const output = path.join(dir, 'cutout.atlas.glb');
+  const layoutFile = path.join(dir, 'layout.json');
+  await writeDocument(doc, input);
+  await runCli(['-i', input, '-o', output, '--dilate-normal', 'full', '--dump-layout', layoutFile]);
+
+  const out = await readDocument(output);
+  const [prim] = out.getRoot().listMeshes()[0].listPrimitives();
+  const merged = prim.getMaterial();
+  const transparent = atlasUv(prim, [0.9, 0.5]);
+  for (const [atlas, rgb] of [
+    [merged.getBaseColorTexture(), [255, 0, 0]],
+    [merged.getNormalTexture(), [128, 128, 255]],
+  ]) {
+    assert.equal(atlas.getMimeType(), 'image/png');
+    assert.deepEqual(await sampleTexture(atlas, transparent), [...rgb, 0]);
+  }
+  const layout = JSON.parse(await fs.readFile(layoutFile, 'utf8'));
+  for (const map of ['basecolor', 'normal']) {
+    const [atlas] = layout.find((l) => l.map === map).atlases;
+    assert.match(atlas.formatFallback, /^webp -> png/);
+  }
+});
+
+test('extension maps take their format and dilation from the --*-extensions options', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const doc = createDocument();
+  const clearcoat = doc
+    .createExtension(KHRMaterialsClearcoat)
+    .createClearcoat()
+    .setClearcoatFactor(1)
+    .setClearcoatTexture(doc.createTexture('coat').setImage(await halfTransparentPng([200, 0, 0])).setMimeType('image/png'));
+  const material = doc.createMaterial('Coated').setExtension('KHR_materials_clearcoat', clearcoat);
+  addTriangleNode(doc, { material });
+  const input = path.join(dir, 'coated.glb');
+  await writeDocument(doc, input);
+
+  const atlasCoat = async (name, args) => {
+    const output = path.join(dir, `${name}.glb`);
+    await runCli(['-i', input, '-o', output, '--maps', 'extensions', ...args]);
+    const [prim] = (await readDocument(output)).getRoot().listMeshes()[0].listPrimitives();
+    return [prim, prim.getMaterial().getExtension('KHR_materials_clearcoat').getClearcoatTexture()];
+  };
+
+  const [, byDefault] = await atlasCoat('default', []);
+  assert.equal(byDefault.getMimeType(), 'image/png');
+
+  const [prim, flooded] = await atlasCoat('flooded', ['--dilate-extensions', 'full']);
+  assert.deepEqual(await sampleTexture(flooded, atlasUv(prim, [0.9, 0.5])), [200, 0, 0, 0]);
+
+  const [, jpeg] = await atlasCoat('jpeg', ['--format-extensions', 'jpeg']);
+  assert.equal(jpeg.getMimeType(), 'image/jpeg');
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {
+  createDocument,
+  addTriangleNode,
+  addSolidTexture,
+  sampleTexture,
+  meanUv,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const NORMAL_A = [128, 128, 255, 255];
+const NORMAL_B = [200, 60, 180, 255];
+
+// Two materials that share a name (as files merged with --folder often do) but not their textures.
+async function createDuplicateNameDocument() {
+  const doc = createDocument();
+  const a = doc
+    .createMaterial('Dup')
+    .setBaseColorTexture(await addSolidTexture(doc, 'a_color', RED))
+    .setNormalTexture(await addSolidTexture(doc, 'a_normal', NORMAL_A));
+  const b = doc
+    .createMaterial('Dup')
+    .setBaseColorTexture(await addSolidTexture(doc, 'b_color', BLUE))
+    .setNormalTexture(await addSolidTexture(doc, 'b_normal', NORMAL_B));
+  addTriangleNode(doc, { name: 'A', material: a });
+  addTriangleNode(doc, { name: 'B', material: b, positions: [2, 0, 0, 3, 0, 0, 2, 1, 0] });
+  return doc;
+}
+
+test('materials sharing a name keep their own texels in every atlas', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const input = path.join(dir, 'dup.glb');
+  const output = path.join(dir, 'dup.atlas.glb');
+  await writeDocument(await createDuplicateNameDocument(), input);
+  await runCli(['-i', input, '-o', output, '--format-basecolor', 'png']);
+
+  const doc = await readDocument(output);
+  const [prim] = doc.getRoot().listMeshes()[0].listPrimitives();
+  const material = prim.getMaterial();
+  const uvA = meanUv(prim, ([x]) => x < 1.5);
+  const uvB = meanUv(prim, ([x]) => x > 1.5);
+  assert.deepEqual(await sampleTexture(material.getBaseColorTexture(), uvA), RED);
+  assert.deepEqual(await sampleTexture(material.getBaseColorTexture(), uvB), BLUE);
+  assert.deepEqual(await sampleTexture(material.getNormalTexture(), uvA), NORMAL_A);
+  assert.deepEqual(await sampleTexture(material.getNormalTexture(), uvB), NORMAL_B);
+});
+
+test('--no-collapse keeps same-named materials wired to their own rects', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const input = path.join(dir, 'dup.glb');
+  const output = path.join(dir, 'dup.atlas.glb');
+  const doc = await createDuplicateNameDocument();
+  // An identical twin of the first material: atlas-only output keeps it rather than folding it.
+  const [a] = doc.getRoot().listMaterials();
+  addTriangleNode(doc, { name: 'A2', material: a.clone(), positions: [4, 0, 0, 5, 0, 0, 4, 1, 0] });
+  await writeDocument(doc, input);
+  await runCli(['-i', input, '-o', output, '--no-collapse', '--format-basecolor', 'png']);
+
+  const out = await readDocument(output);
+  assert.equal(out.getRoot().listMaterials().length, 3);
+  const expected = { A: [RED, NORMAL_A], B: [BLUE, NORMAL_B], A2: [RED, NORMAL_A] };
+  for (const mesh of out.getRoot().listMeshes()) {
+    const [prim] = mesh.listPrimitives();
+    const material = prim.getMaterial();
+    const [color, normal] = expected[mesh.getName()];
+    assert.match(material.getBaseColorTexture().getName(), /^Atlas_/, `${mesh.getName()} baseColor`);
+    assert.match(material.getNormalTexture().getName(), /^Atlas_/, `${mesh.getName()} normal`);
+    assert.deepEqual(await sampleTexture(material.getBaseColorTexture(), meanUv(prim)), color);
+    assert.deepEqual(await sampleTexture(material.getNormalTexture(), meanUv(prim)), normal);
+  }
+});
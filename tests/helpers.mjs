@@ -0,0 +1,166 @@
+/**
+ * Shared fixtures for the node:test suites (tests/*.test.mjs).
+ * - Builds small glTF documents in memory
+ * - Loads the browser modules (and the workers' private functions) through Vite's SSR loader
+ * - Runs the CLI against files in a temporary directory
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { Document } from '@gltf-transform/core';
+import sharp from 'sharp';
+import { createAtlasIO } from '../scripts/atlas-lib.mjs';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const webDir = path.join(repoRoot, 'web');
+const run = promisify(execFile);
+
+/** A document with one scene and one buffer, ready for `addTriangleNode`. */
+export function createDocument() {
+  const doc = new Document();
+  doc.createBuffer();
+  doc.createScene('Scene');
+  return doc;
+}
+
+export function createAccessor(doc, type, array) {
+  return doc.createAccessor().setType(type).setBuffer(doc.getRoot().listBuffers()[0]).setArray(array);
+}
+
+/**
+ * Adds a node holding a one-triangle mesh to the first scene.
+ * `targets` lists POSITION deltas (one VEC3 per vertex) for unnamed morph targets.
+ */
+export function addTriangleNode(doc, {
+  name = 'Triangle',
+  material = null,
+  positions = [0, 0, 0, 1, 0, 0, 0, 1, 0],
+  uvs = [0, 0, 1, 0, 0, 1],
+  normals = null,
+  tangents = null,
+  targets = [],
+  translation = null,
+  scale = null,
+} = {}) {
+  const prim = doc
+    .createPrimitive()
+    .setAttribute('POSITION', createAccessor(doc, 'VEC3', new Float32Array(positions)))
+    .setIndices(createAccessor(doc, 'SCALAR', new Uint16Array([0, 1, 2])))
+    .setMaterial(material);
+  if (uvs) prim.setAttribute('TEXCOORD_0', createAccessor(doc, 'VEC2', new Float32Array(uvs)));
+  if (normals) prim.setAttribute('NORMAL', createAccessor(doc, 'VEC3', new Float32Array(normals)));
+  if (tangents) prim.setAttribute('TANGENT', createAccessor(doc, 'VEC4', new Float32Array(tangents)));
+  for (const delta of targets) {
+    const target = doc.createPrimitiveTarget();
+    target.setAttribute('POSITION', createAccessor(doc, 'VEC3', new Float32Array(delta)));
+    prim.addTarget(target);
+  }
+  const mesh = doc.createMesh(name).addPrimitive(prim);
+  if (targets.length) mesh.setWeights(targets.map(() => 0));
+  const node = doc.createNode(name).setMesh(mesh);
+  if (translation) node.setTranslation(translation);
+  if (scale) node.setScale(scale);
+  doc.getRoot().listScenes()[0].addChild(node);
+  return node;
+}
+
+/** Every element of an accessor, decoded (normalized integers read back as floats). */
+export function readElements(accessor) {
+  return Array.from({ length: accessor.getCount() }, (_, i) => accessor.getElement(i, []));
+}
+
+/**
+ * Imports a module from web/src through Vite's SSR loader (which resolves `?url` assets). Workers keep
+ * their helpers private, so the functions named in `privateNames` are exported for the test.
+ */
+export async function loadWebModule(file, privateNames = []) {
+  // Workers install `self.onmessage` when they load.
+  globalThis.self ??= globalThis;
+  const { createServer } = await import('vite');
+  const entry = path.join(webDir, 'src', file);
+  const server = await createServer({
+    configFile: path.join(webDir, 'vite.config.js'),
+    logLevel: 'silent',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true },
+    plugins: [
+      {
+        name: 'expose-worker-functions',
+        transform(code, id) {
+          if (id === entry && privateNames.length) return `${code}\nexport { ${privateNames.join(', ')} };\n`;
+        },
+      },
+    ],
+  });
+  try {
+    return await server.ssrLoadModule(`/src/${file}`);
+  } finally {
+    await server.close();
+  }
+}
+
+/** A PNG filled with one RGBA colour. */
+export function solidPng(rgba, width = 16, height = width) {
+  const [r, g, b, a = 255] = rgba;
+  return sharp({ create: { width, height, channels: 4, background: { r, g, b, alpha: a / 255 } } })
+    .png()
+    .toBuffer();
+}
+
+/** Adds a texture holding a solid PNG of `rgba`. */
+export async function addSolidTexture(doc, name, rgba, size = 16) {
+  return doc.createTexture(name).setImage(await solidPng(rgba, size)).setMimeType('image/png');
+}
+
+/** The RGBA texel of `texture` that UV (u, v) lands on. */
+export async function sampleTexture(texture, [u, v]) {
+  const { data, info } = await sharp(texture.getImage()).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const x = Math.min(info.width - 1, Math.max(0, Math.floor(u * info.width)));
+  const y = Math.min(info.height - 1, Math.max(0, Math.floor(v * info.height)));
+  const i = (y * info.width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+/**
+ * Where source UV (s, t) lands after remapping, for a primitive whose first triangle is the
+ * `addTriangleNode` one (corners sampling (0,0), (1,0) and (0,1)).
+ */
+export function atlasUv(prim, [s, t]) {
+  const [uv0, uv1, uv2] = readElements(prim.getAttribute('TEXCOORD_0'));
+  return [0, 1].map((k) => uv0[k] + s * (uv1[k] - uv0[k]) + t * (uv2[k] - uv0[k]));
+}
+
+/** Mean TEXCOORD_0 of a primitive's vertices whose position passes `where`. */
+export function meanUv(prim, where = () => true) {
+  const positions = readElements(prim.getAttribute('POSITION'));
+  const uvs = readElements(prim.getAttribute('TEXCOORD_0')).filter((_, i) => where(positions[i]));
+  return [0, 1].map((k) => uvs.reduce((sum, uv) => sum + uv[k], 0) / uvs.length);
+}
+
+export async function writeDocument(doc, file) {
+  await (await createAtlasIO()).write(file, doc);
+}
+
+export async function readDocument(file) {
+  return (await createAtlasIO()).read(file);
+}
+
+/** A fresh temporary directory, removed by the returned `cleanup`. */
+export async function createTempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlasgen-test-'));
+  return { dir, cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+/** Runs scripts/atlas-cli.mjs with `args`; rejects with its output when it exits non-zero. */
+export async function runCli(args) {
+  const cli = path.join(repoRoot, 'scripts', 'atlas-cli.mjs');
+  try {
+    return await run(process.execPath, [cli, ...args], { cwd: repoRoot, maxBuffer: 16 * 1024 * 1024 });
+  } catch (err) {
+    throw new Error(`atlas-cli ${args.join(' ')} failed:\n${err.stdout}${err.stderr}`);
+  }
+}
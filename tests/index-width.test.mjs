@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseToSingleMeshAndMaterial } from '../scripts/atlas-lib.mjs';
+import { createDocument, createAccessor, loadWebModule } from './helpers.mjs';
+
+const collapsers = {
+  node: async () => collapseToSingleMeshAndMaterial,
+  'browser worker': async () =>
+    (await loadWebModule('atlas-worker.js', ['collapseToSingleMeshAndMaterial'])).collapseToSingleMeshAndMaterial,
+};
+
+// A node drawing a triangle list over `vertexCount` vertices, the last of which is indexed.
+function addGridNode(doc, name, vertexCount) {
+  const positions = new Float32Array(vertexCount * 3);
+  for (let i = 0; i < vertexCount; i++) positions.set([i % 256, Math.floor(i / 256), 0], i * 3);
+  const indices = Array.from({ length: Math.ceil(vertexCount / 3) * 3 }, (_, i) => Math.min(i, vertexCount - 1));
+  const prim = doc
+    .createPrimitive()
+    .setAttribute('POSITION', createAccessor(doc, 'VEC3', positions))
+    .setIndices(createAccessor(doc, 'SCALAR', new Uint32Array(indices)))
+    .setMaterial(doc.getRoot().listMaterials()[0]);
+  doc.getRoot().listScenes()[0].addChild(doc.createNode(name).setMesh(doc.createMesh(name).addPrimitive(prim)));
+}
+
+// Two nodes to merge, `vertexCount` vertices in total.
+function createVertexDocument(vertexCount) {
+  const doc = createDocument();
+  doc.createMaterial('M');
+  addGridNode(doc, 'Small', 3);
+  addGridNode(doc, 'Large', vertexCount - 3);
+  return doc;
+}
+
+for (const [label, load] of Object.entries(collapsers)) {
+  test(`merged indices switch to Uint32 once they reach the restart value 65535 (${label})`, async () => {
+    const collapse = await load();
+    for (const [vertexCount, ArrayType] of [
+      [65535, Uint16Array],
+      [65536, Uint32Array],
+    ]) {
+      const doc = createVertexDocument(vertexCount);
+      await collapse(doc, {});
+      const indices = doc.getRoot().listMeshes()[0].listPrimitives()[0].getIndices().getArray();
+      assert.equal(indices.constructor, ArrayType, `${vertexCount} vertices`);
+      assert.equal(Math.max(...indices), vertexCount - 1);
+    }
+  });
+}
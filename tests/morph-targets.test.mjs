@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseToSingleMeshAndMaterial } from '../scripts/atlas-lib.mjs';
+import { createDocument, addTriangleNode, loadWebModule } from './helpers.mjs';
+
+const DELTA = [0, 0, 1, 0, 0, 1, 0, 0, 1];
+
+// Two unrelated meshes, each with one unnamed target; a third names its targets via extras.
+function createMorphDocument() {
+  const doc = createDocument();
+  const material = doc.createMaterial('Shared');
+  addTriangleNode(doc, { name: 'A', material, targets: [DELTA] });
+  addTriangleNode(doc, { name: 'B', material, targets: [DELTA], translation: [2, 0, 0] });
+  const named = addTriangleNode(doc, { name: 'C', material, targets: [DELTA, DELTA], translation: [4, 0, 0] });
+  named.getMesh().setExtras({ targetNames: ['smile', 'blink'] });
+  return doc;
+}
+
+function mergedTargetNames(doc) {
+  const [mesh] = doc.getRoot().listMeshes();
+  assert.equal(mesh.listPrimitives().length, 1);
+  return mesh.listPrimitives()[0].listTargets().map((t) => t.getName());
+}
+
+test('unnamed morph targets of different meshes stay separate (node)', () => {
+  const doc = createMorphDocument();
+  collapseToSingleMeshAndMaterial(doc, {});
+  assert.deepEqual(mergedTargetNames(doc), ['A_0', 'B_0', 'smile', 'blink']);
+});
+
+test('unnamed morph targets of different meshes stay separate (browser worker)', async () => {
+  const worker = await loadWebModule('atlas-worker.js', ['collapseToSingleMeshAndMaterial']);
+  const doc = createMorphDocument();
+  await worker.collapseToSingleMeshAndMaterial(doc, {});
+  assert.deepEqual(mergedTargetNames(doc), ['A_0', 'B_0', 'smile', 'blink']);
+});
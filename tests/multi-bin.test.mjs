@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  createDocument,
+  addTriangleNode,
+  addSolidTexture,
+  atlasUv,
+  readElements,
+  sampleTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+const COLORS = [
+  [255, 0, 0, 255],
+  [0, 255, 0, 255],
+  [0, 0, 255, 255],
+];
+const NORMALS = [
+  [128, 128, 255, 255],
+  [200, 60, 180, 255],
+  [60, 200, 180, 255],
+];
+
+test('textures that overflow one atlas spill into further bins', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const doc = createDocument();
+  // Three full-size textures: each needs a 256px bin of its own, which the normal map reuses.
+  for (const [i, rgba] of COLORS.entries()) {
+    const material = doc
+      .createMaterial(`M${i}`)
+      .setBaseColorTexture(await addSolidTexture(doc, `C${i}`, rgba, 256))
+      .setNormalTexture(await addSolidTexture(doc, `N${i}`, NORMALS[i], 256));
+    addTriangleNode(doc, { name: `N${i}`, material, translation: [i * 2, 0, 0] });
+  }
+  const input = path.join(dir, 'bins.glb');
+  const output = path.join(dir, 'bins.atlas.glb');
+  const layoutFile = path.join(dir, 'layout.json');
+  await writeDocument(doc, input);
+  await runCli([
+    '-i', input, '-o', output, '--maps', 'basecolor,normal', '--format-basecolor', 'png', '--format-normal', 'png',
+    '--max-size', '256', '--max-bins', '3', '--padding', '0', '--resize-mode', 'none', '--dump-layout', layoutFile,
+  ]);
+
+  const layout = JSON.parse(await fs.readFile(layoutFile, 'utf8'));
+  for (const map of ['basecolor', 'normal']) assert.equal(layout.find((l) => l.map === map).atlases.length, 3);
+
+  const out = await readDocument(output);
+  const [mesh] = out.getRoot().listMeshes();
+  const prims = mesh.listPrimitives();
+  // One merged material per bin.
+  assert.equal(prims.length, 3);
+  assert.equal(new Set(prims.map((p) => p.getMaterial().getBaseColorTexture())).size, 3);
+  for (const prim of prims) {
+    // Each bin holds one source triangle; its x offset says which.
+    const [[x]] = readElements(prim.getAttribute('POSITION'));
+    const material = prim.getMaterial();
+    const uv = atlasUv(prim, [0.25, 0.25]);
+    assert.match(material.getBaseColorTexture().getName(), /^Atlas_basecolor_\d$/);
+    assert.deepEqual(await sampleTexture(material.getBaseColorTexture(), uv), COLORS[x / 2]);
+    assert.deepEqual(await sampleTexture(material.getNormalTexture(), uv), NORMALS[x / 2]);
+  }
+});
@@ -5,7 +5,9 @@ async function main() {
   const doc = await io.read(process.argv[2] || 'sample_glb/Mask Pack.atlas.glb');
   const mesh = doc.getRoot().listMeshes()[0];
   mesh.listPrimitives().forEach((p, i) => {
-    const uv = p.getAttribute('TEXCOORD_0')?.getArray();
+    // getElement decodes normalized (quantized) UVs.
+    const acc = p.getAttribute('TEXCOORD_0');
+    const uv = acc && Array.from({ length: acc.getCount() }, (_, k) => acc.getElement(k, [])).flat();
     if (!uv) {
       console.log('prim', i, 'no uv');
       return;
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {
+  createDocument,
+  addTriangleNode,
+  addSolidTexture,
+  meanUv,
+  sampleTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+// name, colour, alphaMode, doubleSided; the two opaque materials share a render state.
+const MATERIALS = [
+  ['Wall', [255, 0, 0, 255], 'OPAQUE', false],
+  ['Floor', [0, 255, 0, 255], 'OPAQUE', false],
+  ['Leaves', [0, 0, 255, 255], 'MASK', false],
+  ['Glass', [255, 255, 0, 128], 'BLEND', true],
+];
+
+test('--split-by-render-state builds one atlas and one material per render state', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const doc = createDocument();
+  for (const [i, [name, rgba, alphaMode, doubleSided]] of MATERIALS.entries()) {
+    const material = doc
+      .createMaterial(name)
+      .setBaseColorTexture(await addSolidTexture(doc, name, rgba))
+      .setAlphaMode(alphaMode)
+      .setDoubleSided(doubleSided);
+    addTriangleNode(doc, { name, material, translation: [i * 2, 0, 0] });
+  }
+  const input = path.join(dir, 'states.glb');
+  const output = path.join(dir, 'states.atlas.glb');
+  await writeDocument(doc, input);
+  await runCli(['-i', input, '-o', output, '--maps', 'basecolor', '--format-basecolor', 'png', '--split-by-render-state']);
+
+  const [mesh] = (await readDocument(output)).getRoot().listMeshes();
+  const prims = mesh.listPrimitives();
+  const states = prims.map((p) => `${p.getMaterial().getAlphaMode()}/${p.getMaterial().getDoubleSided()}`);
+  assert.deepEqual(states.sort(), ['BLEND/true', 'MASK/false', 'OPAQUE/false']);
+  assert.equal(new Set(prims.map((p) => p.getMaterial().getBaseColorTexture())).size, 3);
+
+  for (const [i, [name, rgba, alphaMode]] of MATERIALS.entries()) {
+    const prim = prims.find((p) => p.getMaterial().getAlphaMode() === alphaMode);
+    const texture = prim.getMaterial().getBaseColorTexture();
+    assert.ok(texture.getName().startsWith(`Atlas_basecolor_${alphaMode}`), texture.getName());
+    const uv = meanUv(prim, ([x]) => x >= i * 2 && x <= i * 2 + 1);
+    assert.deepEqual(await sampleTexture(texture, uv), rgba, name);
+  }
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import {
+  createDocument,
+  addTriangleNode,
+  atlasUv,
+  sampleTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+// Red top-left, green top-right, blue bottom-left (UV space: v grows downwards).
+function quadrantPng(width, height) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const right = x >= width / 2;
+      const bottom = y >= height / 2;
+      if (!bottom) data.set(right ? GREEN : RED, (y * width + x) * 4);
+      else if (!right) data.set(BLUE, (y * width + x) * 4);
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+test('rotated rects sample the same texels as their source textures', async (t) => {
+  const { dir, cleanup } = await createTempDir();
+  t.after(cleanup);
+  const doc = createDocument();
+  // A wide and a tall texture only share a 256px atlas when one of them is turned.
+  for (const [name, width, height, x] of [
+    ['Wide', 256, 128, 0],
+    ['Tall', 128, 256, 2],
+  ]) {
+    const texture = doc.createTexture(name).setImage(await quadrantPng(width, height)).setMimeType('image/png');
+    const material = doc.createMaterial(name).setBaseColorTexture(texture);
+    addTriangleNode(doc, { name, material, translation: [x, 0, 0] });
+  }
+  const input = path.join(dir, 'shapes.glb');
+  const output = path.join(dir, 'shapes.atlas.glb');
+  const layoutFile = path.join(dir, 'layout.json');
+  await writeDocument(doc, input);
+  await runCli([
+    '-i', input, '-o', output, '--maps', 'basecolor', '--format-basecolor', 'png', '--no-collapse',
+    '--allow-rotation', '--max-size', '256', '--padding', '0', '--resize-mode', 'none', '--dump-layout', layoutFile,
+  ]);
+
+  const [atlas] = JSON.parse(await fs.readFile(layoutFile, 'utf8')).find((l) => l.map === 'basecolor').atlases;
+  assert.equal(atlas.rects.length, 2);
+  assert.equal(atlas.rects.filter((r) => r.rotated).length, 1);
+
+  for (const mesh of (await readDocument(output)).getRoot().listMeshes()) {
+    const [prim] = mesh.listPrimitives();
+    const texture = prim.getMaterial().getBaseColorTexture();
+    assert.match(texture.getName(), /^Atlas_/);
+    assert.deepEqual(await sampleTexture(texture, atlasUv(prim, [0.2, 0.2])), RED, mesh.getName());
+    assert.deepEqual(await sampleTexture(texture, atlasUv(prim, [0.7, 0.1])), GREEN, mesh.getName());
+    assert.deepEqual(await sampleTexture(texture, atlasUv(prim, [0.1, 0.7])), BLUE, mesh.getName());
+  }
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { TextureInfo } from '@gltf-transform/core';
+import {
+  createDocument,
+  createAccessor,
+  addTriangleNode,
+  addSolidTexture,
+  createTempDir,
+  writeDocument,
+  readDocument,
+  runCli,
+} from './helpers.mjs';
+
+// "Tiled" samples base colour in 0–1 on TEXCOORD_0 but repeats its emissive 3x3 on TEXCOORD_1.
+async function createTiledDocument() {
+  const doc = createDocument();
+  const tiled = doc
+    .createMaterial('Tiled')
+    .setBaseColorTexture(await addSolidTexture(doc, 'paint', [255, 0, 0, 255]))
+    .setEmissiveTexture(await addSolidTexture(doc, 'glow', [0, 255, 0, 255]))
+    .setEmissiveFactor([1, 1, 1]);
+  tiled.getEmissiveTextureInfo().setTexCoord(1);
+  const node = addTriangleNode(doc, { name: 'Tiled', material: tiled });
+  const repeated = createAccessor(doc, 'VEC2', new Float32Array([0, 0, 3, 0, 0, 3]));
+  node.getMesh().listPrimitives()[0].setAttribute('TEXCOORD_1', repeated);
+  const plain = doc.createMaterial('Plain').setBaseColorTexture(await addSolidTexture(doc, 'plain', [0, 0, 255, 255]));
+  addTriangleNode(doc, { name: 'Plain', material: plain, translation: [2, 0, 0] });
+  return doc;
+}
+
+for (const tiling of ['exclude', 'pretile']) {
+  test(`tiling in a texcoord set of a non-packed map keeps the material out of the atlas (--tiling ${tiling})`, async (t) => {
+    const { dir, cleanup } = await createTempDir();
+    t.after(cleanup);
+    const input = path.join(dir, 'tiled.glb');
+    const output = path.join(dir, 'tiled.atlas.glb');
+    await writeDocument(await createTiledDocument(), input);
+    await runCli(['-i', input, '-o', output, '--tiling', tiling]);
+
+    const materials = (await readDocument(output)).getRoot().listMaterials();
+    const tiled = materials.find((m) => m.getName() === 'Tiled');
+    assert.ok(tiled, 'the tiling material keeps its own material');
+    assert.equal(tiled.getEmissiveTexture().getName(), 'glow');
+    assert.equal(tiled.getEmissiveTextureInfo().getTexCoord(), 1);
+    assert.equal(tiled.getEmissiveTextureInfo().getWrapS(), TextureInfo.WrapMode.REPEAT);
+    assert.ok(materials.some((m) => m.getBaseColorTexture()?.getName().startsWith('Atlas_')));
+  });
+}
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseToSingleMeshAndMaterial } from '../scripts/atlas-lib.mjs';
+import { createDocument, addTriangleNode, readElements, loadWebModule } from './helpers.mjs';
+
+const collapsers = {
+  node: async () => collapseToSingleMeshAndMaterial,
+  'browser worker': async () =>
+    (await loadWebModule('atlas-worker.js', ['collapseToSingleMeshAndMaterial'])).collapseToSingleMeshAndMaterial,
+};
+
+const NORMALS = [0, 0, 1, 0, 0, 1, 0, 0, 1];
+const TANGENTS = [1, 0, 0, 1, 1, 0, 0, 1, 1, 0, 0, 1];
+
+async function collapseTriangle(collapse, transform) {
+  const doc = createDocument();
+  addTriangleNode(doc, { material: doc.createMaterial('M'), normals: NORMALS, tangents: TANGENTS, ...transform });
+  await collapse(doc, {});
+  return doc.getRoot().listMeshes()[0].listPrimitives()[0];
+}
+
+// Mirroring yields -0 components, which deepEqual tells apart from 0.
+const unsigned = (v) => v.map((x) => x + 0);
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+for (const [label, load] of Object.entries(collapsers)) {
+  test(`mirrored nodes keep front faces, normals and tangent handedness (${label})`, async () => {
+    const prim = await collapseTriangle(await load(), { scale: [-1, 1, 1] });
+    const positions = readElements(prim.getAttribute('POSITION'));
+    const [a, b, c] = readElements(prim.getIndices()).map(([i]) => positions[i]);
+    const face = cross(sub(b, a), sub(c, a));
+    for (const normal of readElements(prim.getAttribute('NORMAL'))) {
+      assert.deepEqual(unsigned(normal), [0, 0, 1]);
+      assert.ok(dot(face, normal) > 0, 'winding is flipped to keep the face towards its normal');
+    }
+    for (const tangent of readElements(prim.getAttribute('TANGENT'))) {
+      assert.deepEqual(unsigned(tangent), [-1, 0, 0, -1]);
+    }
+  });
+
+  test(`singular node transforms leave unit-length normals and tangents (${label})`, async () => {
+    for (const scale of [
+      [0, 1, 1],
+      [1, 1, 0],
+      [0, 0, 1],
+    ]) {
+      const prim = await collapseTriangle(await load(), { scale });
+      for (const [semantic, vector] of [
+        ...readElements(prim.getAttribute('NORMAL')).map((n) => ['NORMAL', n]),
+        ...readElements(prim.getAttribute('TANGENT')).map((t) => ['TANGENT', t.slice(0, 3)]),
+      ]) {
+        assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-5, `${semantic} ${vector} under scale ${scale}`);
+      }
+    }
+  });
+}
@@ -3,7 +3,9 @@
  * Verifies a processed GLB for:
  * - Single scene child, single mesh, single material
  * - Atlas textures present
- * - UV min/max roughly aligned with atlas rects
+ * - UV min/max roughly aligned with atlas rects (rotated rects keep their footprint)
+ * - Every UV lands in a rect of the atlas bin its material samples
+ * - Rects stay inside their bin and do not overlap
  * - Non-zero bounds
  *
  * Usage: node tests/verify-atlas.mjs --input sample_glb/Mask\ Pack.atlas.glb --layout layout.json
@@ -11,7 +13,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { Command } from 'commander';
-import { NodeIO } from '@gltf-transform/core';
+import { createAtlasIO } from '../scripts/atlas-lib.mjs';
 
 const program = new Command();
 program
@@ -24,7 +26,8 @@ program.parse(process.argv);
 const opts = program.opts();
 
 async function main() {
-  const io = new NodeIO();
+  // Read with the pipeline's IO (same extensions, Draco/meshopt decoders for --compress outputs).
+  const io = await createAtlasIO();
   const doc = await io.read(opts.input);
   const layout = JSON.parse(fs.readFileSync(opts.layout, 'utf8'));
   const root = doc.getRoot();
@@ -40,6 +43,7 @@ async function main() {
     materials: materials.length,
     textures: textures.length,
     uvChecks: [],
+    binChecks: [],
     bounds: {},
     errors: [],
   };
@@ -52,7 +56,7 @@ async function main() {
     let min = [Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY];
     let max = [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY];
     for (const prim of mesh.listPrimitives()) {
-      const pos = prim.getAttribute('POSITION')?.getArray();
+      const pos = readFloats(prim.getAttribute('POSITION'));
       if (!pos) continue;
       for (let i = 0; i < pos.length; i += 3) {
         min[0] = Math.min(min[0], pos[i]);
@@ -73,11 +77,19 @@ async function main() {
   const atlasByMaterial = buildMaterialRectMap(layout);
   const duplicates = findDuplicateRects(layout);
   const crossMapInconsistencies = findCrossMapInconsistencies(layout);
+  const overlaps = findOverlappingRects(layout);
+  for (const o of overlaps) {
+    report.errors.push(
+      o.outOfBounds
+        ? `Rect of ${o.materials[0]} exceeds ${o.map} bin ${o.bin}`
+        : `Rects of ${o.materials[0]} and ${o.materials[1]} overlap in ${o.map} bin ${o.bin}`
+    );
+  }
   const tol = opts.tolerance;
   for (const prim of mesh?.listPrimitives() || []) {
     const mat = prim.getMaterial();
     const rect = atlasByMaterial.get(mat?.getName() || '');
-    const uv = prim.getAttribute('TEXCOORD_0')?.getArray();
+    const uv = readFloats(prim.getAttribute('TEXCOORD_0'));
     if (!rect || !uv) continue;
     const uMin = Math.min(...filterEveryOther(uv, 0));
     const uMax = Math.max(...filterEveryOther(uv, 0));
@@ -94,14 +106,40 @@ async function main() {
       uMax <= expected.uMax + tol &&
       vMin >= expected.vMin - tol &&
       vMax <= expected.vMax + tol;
-    report.uvChecks.push({ material: mat?.getName() || '', ok, uMin, uMax, vMin, vMax, expected });
+    report.uvChecks.push({
+      material: mat?.getName() || '',
+      ok,
+      uMin,
+      uMax,
+      vMin,
+      vMax,
+      expected,
+      ...(rect.rotated ? { rotated: true } : {}),
+    });
     if (!ok) report.errors.push(`UV out of expected rect for material ${mat?.getName() || ''}`);
     if (opts.dumpUv) {
       console.log(`prim ${report.uvChecks.length - 1} material ${mat?.getName() || ''} u [${uMin}, ${uMax}] v [${vMin}, ${vMax}] expected`, expected);
     }
   }
+  // Bin check: with several bins per map, a primitive must sample the bin that holds its rects.
+  const atlasByTexture = buildAtlasTextureMap(layout);
+  for (const prim of meshes.flatMap((m) => m.listPrimitives())) {
+    const mat = prim.getMaterial();
+    const uv = readFloats(prim.getAttribute('TEXCOORD_0'));
+    if (!mat || !uv) continue;
+    for (const tex of listCoreTextures(mat)) {
+      const atlas = atlasByTexture.get(tex.getName());
+      if (!atlas) continue;
+      const outside = countUvsOutsideRects(uv, atlas, tol);
+      report.binChecks.push({ material: mat.getName() || '', texture: tex.getName(), bin: atlas.index, outside });
+      if (outside) {
+        report.errors.push(`${outside} UV(s) of material ${mat.getName() || ''} fall outside every rect of ${tex.getName()}`);
+      }
+    }
+  }
   report.duplicates = duplicates;
   report.crossMapInconsistencies = crossMapInconsistencies;
+  report.overlaps = overlaps;
 
   console.log(JSON.stringify(report, null, 2));
 }
@@ -119,6 +157,7 @@ function buildMaterialRectMap(layout) {
             h: rect.height,
             atlasW: atlas.width,
             atlasH: atlas.height,
+            rotated: !!rect.rotated,
           });
         }
       }
@@ -127,6 +166,50 @@ function buildMaterialRectMap(layout) {
   return map;
 }
 
+function buildAtlasTextureMap(layout) {
+  const map = new Map();
+  for (const entry of layout) {
+    for (const atlas of entry.atlases || []) {
+      if (atlas.texture) map.set(atlas.texture, atlas);
+    }
+  }
+  return map;
+}
+
+function listCoreTextures(mat) {
+  return [
+    mat.getBaseColorTexture(),
+    mat.getNormalTexture(),
+    mat.getMetallicRoughnessTexture(),
+    mat.getOcclusionTexture(),
+    mat.getEmissiveTexture(),
+  ].filter((tex, i, all) => tex && all.indexOf(tex) === i);
+}
+
+function countUvsOutsideRects(uv, atlas, tol) {
+  let outside = 0;
+  for (let i = 0; i < uv.length; i += 2) {
+    const inside = (atlas.rects || []).some(
+      (r) =>
+        uv[i] >= r.x / atlas.width - tol &&
+        uv[i] <= (r.x + r.width) / atlas.width + tol &&
+        uv[i + 1] >= r.y / atlas.height - tol &&
+        uv[i + 1] <= (r.y + r.height) / atlas.height + tol
+    );
+    if (!inside) outside++;
+  }
+  return outside;
+}
+
+// Flat float values of an accessor; getElement decodes normalized (quantized) components.
+function readFloats(accessor) {
+  if (!accessor) return null;
+  const out = [];
+  const el = [];
+  for (let i = 0; i < accessor.getCount(); i++) out.push(...accessor.getElement(i, el));
+  return out;
+}
+
 function filterEveryOther(arr, start) {
   const out = [];
   for (let i = start; i < arr.length; i += 2) out.push(arr[i]);
@@ -139,7 +222,7 @@ function findDuplicateRects(layout) {
     const seen = new Map();
     for (const atlas of entry.atlases || []) {
       for (const rect of atlas.rects || []) {
-        const key = `${rect.x},${rect.y},${rect.width},${rect.height}`;
+        const key = `${atlas.index ?? 0}:${rect.x},${rect.y},${rect.width},${rect.height}`;
         if (!seen.has(key)) {
           seen.set(key, []);
         }
@@ -155,6 +238,30 @@ function findDuplicateRects(layout) {
   return issues;
 }
 
+// Rects leaving their bin or intersecting another; identical rects are reported as duplicates instead.
+function findOverlappingRects(layout) {
+  const issues = [];
+  for (const entry of layout) {
+    for (const atlas of entry.atlases || []) {
+      const rects = atlas.rects || [];
+      const bin = atlas.index ?? 0;
+      const label = (rect) => (rect.materials || []).join(',');
+      rects.forEach((a, i) => {
+        if (a.x < 0 || a.y < 0 || a.x + a.width > atlas.width || a.y + a.height > atlas.height) {
+          issues.push({ map: entry.map, bin, outOfBounds: true, materials: [label(a)] });
+        }
+        for (const b of rects.slice(i + 1)) {
+          const same = a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+          const intersects =
+            a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+          if (intersects && !same) issues.push({ map: entry.map, bin, materials: [label(a), label(b)] });
+        }
+      });
+    }
+  }
+  return issues;
+}
+
 function findCrossMapInconsistencies(layout) {
   // Expect same rect per material across maps.
   const perMatPerMap = new Map(); // mat -> map -> rectKey
@@ -162,7 +269,8 @@ function findCrossMapInconsistencies(layout) {
   for (const entry of layout) {
     for (const atlas of entry.atlases || []) {
       for (const rect of atlas.rects || []) {
-        const rectKey = `${rect.x},${rect.y},${rect.width},${rect.height},${atlas.width},${atlas.height}`;
+        // Every map must rotate a material's rect the same way, or its shared UVs sample a turned image.
+        const rectKey = `${atlas.index ?? 0}:${rect.x},${rect.y},${rect.width},${rect.height},${atlas.width},${atlas.height}${rect.rotated ? ',rotated' : ''}`;
         for (const mat of rect.materials || []) {
           if (!perMatPerMap.has(mat)) perMatPerMap.set(mat, new Map());
           perMatPerMap.get(mat).set(entry.map, rectKey);
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAtlasIO, compressGeometry } from '../scripts/atlas-lib.mjs';
+import { createDocument, addTriangleNode, loadWebModule } from './helpers.mjs';
+
+async function writeGlb(compress) {
+  const doc = createDocument();
+  addTriangleNode(doc, { material: doc.createMaterial('Plain') });
+  await compressGeometry(doc, compress);
+  return (await createAtlasIO()).writeBinary(doc);
+}
+
+// Records the URLs the browser IO fetches; the Draco wrappers only run in a browser, so a stand-in
+// module is served instead.
+function stubFetch(t) {
+  const fetched = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    fetched.push(String(url));
+    return new Response('var DracoDecoderModule = () => Promise.resolve({ stub: true });');
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+  return fetched;
+}
+
+test('the browser IO only loads the Draco decoder for GLBs that use it', async (t) => {
+  const { createWebIO } = await loadWebModule('gltf-io.js');
+  const fetched = stubFetch(t);
+  const plain = await writeGlb('none');
+  const meshopt = await writeGlb('meshopt');
+
+  const io = await createWebIO('none', [plain, meshopt]);
+  assert.deepEqual(fetched, []);
+  for (const glb of [plain, meshopt]) {
+    const [prim] = (await io.readBinary(glb)).getRoot().listMeshes()[0].listPrimitives();
+    assert.equal(prim.getAttribute('POSITION').getCount(), 3);
+  }
+
+  await createWebIO('none', [plain, await writeGlb('draco')]);
+  assert.equal(fetched.length, 1);
+  assert.match(fetched[0], /draco_wasm_wrapper\.js/);
+});
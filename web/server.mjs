@@ -2,13 +2,17 @@ import express from 'express';
 import multer from 'multer';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { NodeIO } from '@gltf-transform/core';
-import { mergeDocuments, unpartition } from '@gltf-transform/functions';
+import { mergeDocuments, quantize, unpartition } from '@gltf-transform/functions';
 import {
   processAtlas,
   pruneUnusedTextures,
   collapseToSingleMeshAndMaterial,
+  rewireMaterialsToAtlas,
   mergeAllBuffers,
+  parseSizingRules,
+  createAtlasIO,
+  compressGeometry,
+  COMPRESSION_MODES,
 } from '../scripts/atlas-lib.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,27 +36,60 @@ app.post('/api/atlas', upload.any(), async (req, res) => {
     }
 
     const maps =
-      (req.body.maps || 'baseColor,normal,orm,emissive')
+      (req.body.maps || 'baseColor,normal,orm,emissive,extensions')
         .split(',')
         .map((m) => m.trim().toLowerCase())
-        .filter(Boolean) || ['basecolor', 'normal', 'orm', 'emissive'];
+        .filter(Boolean) || ['basecolor', 'normal', 'orm', 'emissive', 'extensions'];
 
     const maxSize = parseInt(req.body.maxSize || '4096', 10);
     const padding = parseInt(req.body.padding || '2', 10);
+    const align = parseInt(req.body.align || '1', 10);
+    const alignMips = parseInt(req.body.alignMips || '0', 10);
     const texcoord = parseInt(req.body.texcoord || '0', 10);
     const quality = parseInt(req.body.quality || '90', 10);
     const maxBins = parseInt(req.body.maxBins || '1', 10);
     const resizeMode = (req.body.resizeMode || 'downscale').toLowerCase();
     const resizeCeil = parseInt(req.body.resizeCeil || '4096', 10);
+    const texelsPerMeter = parseFloat(req.body.texelsPerMeter || '0');
+    const sizeMode = texelsPerMeter > 0 ? 'texel-density' : (req.body.sizeMode || 'best-fill').toLowerCase();
+    const tiling = (req.body.tiling || 'exclude').toLowerCase();
+    const tileMaxRepeat = parseInt(req.body.tileMaxRepeat || '4', 10);
+    const splitByRenderState = req.body.splitByRenderState === 'true';
+    const allowRotation = req.body.allowRotation === 'true';
+    const atlasShape = (req.body.atlasShape || 'square').toLowerCase();
+    const crop = req.body.crop === 'true';
+    const cropMargin = parseInt(req.body.cropMargin || '4', 10);
+    const collapseMode = (req.body.collapseMode || 'flatten').toLowerCase();
+    const collapse = req.body.collapse !== 'false';
+    const quantizeOutput = req.body.quantize === 'true';
+    const compress = (req.body.compress || 'none').toLowerCase();
+    if (!COMPRESSION_MODES.includes(compress)) {
+      throw new Error(`Unknown compression "${compress}" (expected ${COMPRESSION_MODES.join(', ')})`);
+    }
+    // Sizing rules arrive as an uploaded JSON/YAML file or inline text.
+    const rulesFile = (req.files || []).find((f) => f.fieldname === 'sizingRules');
+    const sizingRules = parseSizingRules(
+      rulesFile ? rulesFile.buffer.toString('utf8') : req.body.sizingRules,
+      rulesFile?.originalname || 'sizingRules'
+    );
 
     const formats = {
       basecolor: (req.body.formatBasecolor || 'png').toLowerCase(),
       normal: (req.body.formatNormal || 'png').toLowerCase(),
       orm: (req.body.formatOrm || 'png').toLowerCase(),
       emissive: (req.body.formatEmissive || 'png').toLowerCase(),
+      extensions: (req.body.formatExtensions || 'png').toLowerCase(),
+    };
+
+    const dilate = {
+      basecolor: (req.body.dilateBasecolor || 'full').toLowerCase(),
+      normal: (req.body.dilateNormal || 'gutter').toLowerCase(),
+      orm: (req.body.dilateOrm || 'gutter').toLowerCase(),
+      emissive: (req.body.dilateEmissive || 'gutter').toLowerCase(),
+      extensions: (req.body.dilateExtensions || 'gutter').toLowerCase(),
     };
 
-    const io = new NodeIO();
+    const io = await createAtlasIO();
     const first = await io.readBinary(files[0].buffer);
     for (let i = 1; i < files.length; i++) {
       const next = await io.readBinary(files[i].buffer);
@@ -60,24 +97,54 @@ app.post('/api/atlas', upload.any(), async (req, res) => {
     }
     const doc = first;
 
-    const { layout, atlasTextures } = await processAtlas(doc, {
+    const { layout, atlasTextures, excludedMaterials, atlasGroups } = await processAtlas(doc, {
       maps,
       maxSize,
       padding,
+      align,
+      alignMips,
       texcoord,
       formats,
+      dilate,
       quality,
       maxBins,
       resizeMode,
       resizeCeil,
+      sizeMode,
+      texelsPerMeter,
+      sizingRules,
+      tiling,
+      tileMaxRepeat,
+      splitByRenderState,
+      allowRotation,
+      atlasShape,
+      crop,
+      cropMargin,
+      // Atlas-only output promises to keep every material, so identical ones are not folded.
+      dedupeMaterials: collapse,
     });
 
-    // Collapse to single mesh/material with atlas textures.
-    collapseToSingleMeshAndMaterial(doc, atlasTextures);
+    if (collapse) {
+      // Collapse to a single mesh with one material per render state, wired to the atlas textures.
+      const { droppedAnimations } = collapseToSingleMeshAndMaterial(doc, atlasTextures, {
+        keepMaterials: excludedMaterials,
+        atlasGroups,
+        mode: collapseMode,
+      });
+      for (const { name, channels } of droppedAnimations) {
+        console.warn(`[atlasgen] Animation "${name}" lost ${channels} channel(s) targeting collapsed nodes.`);
+      }
+    } else {
+      rewireMaterialsToAtlas(doc, atlasTextures, { keepMaterials: excludedMaterials, atlasGroups });
+    }
+
+    // Merging decodes quantized attributes to float; pack them back down if asked.
+    if (quantizeOutput) await doc.transform(quantize());
 
     await doc.transform(unpartition());
     mergeAllBuffers(doc);
     pruneUnusedTextures(doc);
+    await compressGeometry(doc, compress);
 
     const outBinary = await io.writeBinary(doc);
     res.setHeader('Content-Type', 'application/json');
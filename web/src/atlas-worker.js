@@ -1,7 +1,16 @@
-import { WebIO } from '@gltf-transform/core';
+import { Primitive } from '@gltf-transform/core';
 import { mergeDocuments, prune, unpartition } from '@gltf-transform/functions';
-import { KHRTextureTransform } from '@gltf-transform/extensions';
 import { MaxRectsPacker } from 'maxrects-packer';
+import { createWebIO, compressGeometry } from './gltf-io.js';
+
+// 'gutter' extrudes rect edges into padding; 'full' also floods RGB under fully transparent texels.
+const DILATION_MODES = ['none', 'gutter', 'full'];
+const DEFAULT_DILATION = { basecolor: 'full', normal: 'gutter', orm: 'gutter', emissive: 'gutter' };
+// Default weight of each baked morph target, gathered from its source node/mesh until the merged
+// mesh's weights are assembled.
+const morphTargetWeights = new WeakMap();
+// Transforms whose 3x3 determinant is within this of zero are singular (an axis scaled to zero).
+const SINGULAR_EPSILON = 1e-12;
 
 self.onmessage = async (event) => {
   const { files = [], opts = {} } = event.data || {};
@@ -13,7 +22,7 @@ self.onmessage = async (event) => {
     const glbBuffers = await Promise.all(
       files.map(async (f) => new Uint8Array(await f.arrayBuffer()))
     );
-    const io = new WebIO().registerExtensions([KHRTextureTransform]);
+    const io = await createWebIO(opts.compress, glbBuffers);
     const docs = [];
     for (let i = 0; i < glbBuffers.length; i++) {
       try {
@@ -44,6 +53,7 @@ self.onmessage = async (event) => {
     await merged.transform(unpartition());
     await sanitizeTextureImages(merged);
     await merged.transform(prune());
+    await compressGeometry(merged, opts.compress);
     const out = await io.writeBinary(merged);
     const base64 = arrayBufferToBase64(out);
     self.postMessage({ glb: base64, layout: layoutInfo });
@@ -124,47 +134,49 @@ async function atlasMap(doc, map, opts, canonicalReuse) {
   const quality = Number(opts.quality ?? 85);
   const format = (opts[`format${map === 'basecolor' ? 'Basecolor' : map[0].toUpperCase() + map.slice(1)}`] || 'webp').toLowerCase();
   const texcoord = Number(opts.texcoord ?? 0);
+  const dilate = (opts[`dilate${map === 'basecolor' ? 'Basecolor' : map[0].toUpperCase() + map.slice(1)}`] || DEFAULT_DILATION[map]).toLowerCase();
+  if (!DILATION_MODES.includes(dilate)) {
+    throw new Error(`Unknown dilation mode "${dilate}" for ${map} (expected ${DILATION_MODES.join(' | ')}).`);
+  }
   const materials = doc.getRoot().listMaterials();
 
   const entries = [];
-  const entryByMatName = new Map();
   for (const mat of materials) {
     const tex = getter(mat);
-    let buffer = tex && tex.getImage ? tex.getImage() : null;
+    const orm = map === 'orm' ? await composeOrmImage(mat) : null;
+    let buffer = orm ? orm.buffer : tex && tex.getImage ? tex.getImage() : null;
     let width = 0;
     let height = 0;
+    // Every material gets its own entry, so baking its factors never affects another material.
+    const factor = buffer ? resolveFactor(map, mat) : null;
     if (buffer) {
-      const dim = await getImageSize(buffer);
+      const dim = orm || (await getImageSize(buffer));
       width = dim.width;
       height = dim.height;
+      buffer = await bakeFactorsIntoImage(map, buffer, factor);
     } else {
-      buffer = await createFallbackBuffer(map, 256, 256);
+      buffer = await createFallbackBuffer(map, 256, 256, mat);
       width = 256;
       height = 256;
     }
     const entry = { texture: tex, buffer, width, height, materials: [mat] };
+    if (orm) entry.channels = orm.channels;
+    if (factor) entry.factor = factor;
     entries.push(entry);
-    const name = mat.getName ? mat.getName() : null;
-    if (name) entryByMatName.set(name, entry);
   }
   if (!entries.length && !canonicalReuse) return null;
 
   let packInput;
   if (canonicalReuse) {
     packInput = canonicalReuse.rects.map((r, idx) => {
-      const mats = r.data?.materials || r.materials || [];
-      const matched =
-        findEntryForMaterials(mats, entries) ||
-        findEntryForNames(mats, entryByMatName);
-      const data =
-        matched ||
-        entryByMatName.values().next().value ||
-        entries[idx % Math.max(entries.length, 1)] || {
-          buffer: null,
-          width: r.width,
-          height: r.height,
-          materials: mats,
-        };
+      // Canonical rects carry their Material references; names are not unique after merging files.
+      const mats = r.data?.materials || [];
+      const data = findEntryForMaterials(mats, entries) || {
+        buffer: null,
+        width: r.width,
+        height: r.height,
+        materials: mats,
+      };
       return {
         id: idx,
         width: r.width,
@@ -223,7 +235,14 @@ async function atlasMap(doc, map, opts, canonicalReuse) {
       const resized = await resizeTo(rect.width, rect.height, buffer);
       composites.push({ input: resized, left: rect.x, top: rect.y, width: rect.width, height: rect.height });
     }
-    const { image: atlasBuffer, mime } = await composeAtlas(bin.width, bin.height, composites, format, quality, map);
+    const { image: atlasBuffer, mime, formatFallback } = await composeAtlas(
+      bin.width,
+      bin.height,
+      composites,
+      format,
+      quality,
+      dilate
+    );
     const imgData = await ensureUint8(atlasBuffer);
     const atlasTex = doc.createTexture(`Atlas_${map}_${binIndex}`);
     try {
@@ -258,7 +277,11 @@ async function atlasMap(doc, map, opts, canonicalReuse) {
         width: r.width,
         height: r.height,
         materials: (r.data.materials || r.materials || []).map((m) => m.getName?.() || 'mat'),
+        ...(r.data.channels ? { channels: r.data.channels } : {}),
+        ...(r.data.factor ? { bakedFactor: r.data.factor } : {}),
       })),
+      mime,
+      ...(formatFallback ? { formatFallback } : {}),
       count: bin.rects.length,
       entries: entries.length,
       packInputCount: packInput.length,
@@ -287,6 +310,7 @@ async function atlasMap(doc, map, opts, canonicalReuse) {
 
   materialMap.forEach((info, mat) => {
     setter(mat, info.tex);
+    resetFactors(map, mat);
     const ti = texInfoSetter(mat);
     if (ti) ti.setTexCoord(0);
   });
@@ -301,7 +325,8 @@ async function atlasMap(doc, map, opts, canonicalReuse) {
 }
 
 function remapUVsInPlace(accessor, rect, atlasSize) {
-  const arr = accessor.getArray();
+  // Quantized UVs are decoded; the remapped values are written back as floats.
+  const arr = readFloatArray(accessor);
   const invSize = atlasSize ? 1 / atlasSize : 1;
   for (let i = 0; i < arr.length; i += 2) {
     const u = arr[i];
@@ -309,7 +334,7 @@ function remapUVsInPlace(accessor, rect, atlasSize) {
     arr[i] = (rect.x + u * rect.width) * invSize;
     arr[i + 1] = (rect.y + v * rect.height) * invSize;
   }
-  return accessor;
+  return accessor.setArray(arr).setNormalized(false);
 }
 
 async function getImageSize(buffer) {
@@ -332,7 +357,7 @@ async function resizeTo(width, height, buffer) {
   return out;
 }
 
-async function composeAtlas(width, height, composites, format, quality) {
+async function composeAtlas(width, height, composites, format, quality, dilate = 'none') {
   const canvas = new OffscreenCanvas(width, height);
   const ctx = canvas.getContext('2d');
   ctx.clearRect(0, 0, width, height);
@@ -344,11 +369,175 @@ async function composeAtlas(width, height, composites, format, quality) {
   let type = 'image/png';
   if (format === 'webp') type = 'image/webp';
   else if (format === 'jpeg' || format === 'jpg') type = 'image/jpeg';
+  if (dilate !== 'none') {
+    const bleed = dilate === 'full';
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const rects = composites.map((c) => ({ x: c.left, y: c.top, width: c.width, height: c.height }));
+    dilateAtlasPixels(imageData.data, width, height, rects, { bleed });
+    if (bleed && type !== 'image/jpeg' && hasTransparentTexels(imageData.data)) {
+      // Canvas storage is premultiplied and would zero the RGB we just bled under alpha 0, and the
+      // browser can only encode webp from a canvas, so such atlases are written as PNG instead.
+      const image = await encodePngRgba(imageData.data, width, height);
+      if (type === 'image/png') return { image, mime: type };
+      console.warn(`[atlasgen] ${format} cannot keep colour under transparent texels; writing PNG.`);
+      return { image, mime: 'image/png', formatFallback: `${format} -> png (full dilation keeps RGB under alpha 0)` };
+    }
+    if (type === 'image/jpeg') {
+      // JPEG drops alpha anyway; make texels opaque so their RGB survives premultiplication.
+      for (let i = 3; i < imageData.data.length; i += 4) imageData.data[i] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+  }
   const blob = await canvas.convertToBlob({ type, quality: Math.min(Math.max(quality / 100, 0), 1) });
   const arrayBuf = await blob.arrayBuffer();
   return { image: new Uint8Array(arrayBuf), mime: type };
 }
 
+function hasTransparentTexels(data) {
+  for (let i = 3; i < data.length; i += 4) if (data[i] === 0) return true;
+  return false;
+}
+
+// Fill texels that would otherwise stay transparent black so bilinear filtering and mipmaps
+// never average black into rect edges:
+// - bleed: inside each rect, copy RGB from the nearest visible texel into alpha-0 texels (alpha kept).
+// - gutter: outside all rects, copy RGBA from the nearest rect texel (padding and unused space).
+function dilateAtlasPixels(data, width, height, rects, { bleed = false } = {}) {
+  const queue = new Int32Array(width * height);
+  const filled = new Uint8Array(width * height);
+
+  const clampRect = (r) => ({
+    x0: Math.max(0, r.x),
+    y0: Math.max(0, r.y),
+    x1: Math.min(width, r.x + r.width),
+    y1: Math.min(height, r.y + r.height),
+  });
+
+  if (bleed) {
+    for (const r of rects) {
+      const { x0, y0, x1, y1 } = clampRect(r);
+      let head = 0;
+      let tail = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const p = y * width + x;
+          if (data[p * 4 + 3] > 0) {
+            filled[p] = 1;
+            queue[tail++] = p;
+          }
+        }
+      }
+      if (tail === 0) continue;
+      while (head < tail) {
+        const p = queue[head++];
+        const px = p % width;
+        const py = (p - px) / width;
+        const neighbours = [
+          px > x0 ? p - 1 : -1,
+          px < x1 - 1 ? p + 1 : -1,
+          py > y0 ? p - width : -1,
+          py < y1 - 1 ? p + width : -1,
+        ];
+        for (const n of neighbours) {
+          if (n < 0 || filled[n]) continue;
+          filled[n] = 1;
+          data[n * 4] = data[p * 4];
+          data[n * 4 + 1] = data[p * 4 + 1];
+          data[n * 4 + 2] = data[p * 4 + 2];
+          queue[tail++] = n;
+        }
+      }
+    }
+  }
+
+  filled.fill(0);
+  let head = 0;
+  let tail = 0;
+  for (const r of rects) {
+    const { x0, y0, x1, y1 } = clampRect(r);
+    for (let y = y0; y < y1; y++) filled.fill(1, y * width + x0, y * width + x1);
+  }
+  for (const r of rects) {
+    const { x0, y0, x1, y1 } = clampRect(r);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (y !== y0 && y !== y1 - 1 && x !== x0 && x !== x1 - 1) continue;
+        queue[tail++] = y * width + x;
+      }
+    }
+  }
+  while (head < tail) {
+    const p = queue[head++];
+    const px = p % width;
+    const py = (p - px) / width;
+    const neighbours = [
+      px > 0 ? p - 1 : -1,
+      px < width - 1 ? p + 1 : -1,
+      py > 0 ? p - width : -1,
+      py < height - 1 ? p + width : -1,
+    ];
+    for (const n of neighbours) {
+      if (n < 0 || filled[n]) continue;
+      filled[n] = 1;
+      data[n * 4] = data[p * 4];
+      data[n * 4 + 1] = data[p * 4 + 1];
+      data[n * 4 + 2] = data[p * 4 + 2];
+      data[n * 4 + 3] = data[p * 4 + 3];
+      queue[tail++] = n;
+    }
+  }
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal straight-alpha RGBA8 PNG encoder (filter 0, zlib via CompressionStream).
+async function encodePngRgba(rgba, width, height) {
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  const zlib = new Uint8Array(
+    await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+  );
+
+  const chunk = (type, body) => {
+    const out = new Uint8Array(12 + body.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, body.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(body, 8);
+    view.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+    return out;
+  };
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // colour type RGBA
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib),
+    chunk('IEND', new Uint8Array(0)),
+  ];
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
 function packIntoSingleAtlasWithDownscale(items, maxSize, padding) {
   const scales = [1, 0.85, 0.75, 0.65, 0.5, 0.35, 0.25, 0.2, 0.15, 0.1];
   for (const scale of scales) {
@@ -400,14 +589,34 @@ async function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
   const scenes = root.listScenes();
   const scene = scenes[0] || root.createScene('Scene');
 
-  const mat = doc.createMaterial('Atlas_Merged');
-  if (atlasTextures.basecolor) mat.setBaseColorTexture(atlasTextures.basecolor);
-  if (atlasTextures.normal) mat.setNormalTexture(atlasTextures.normal);
-  if (atlasTextures.orm) {
-    mat.setMetallicRoughnessTexture(atlasTextures.orm);
-    mat.setOcclusionTexture(atlasTextures.orm);
+  // One merged material per render state (alphaMode/alphaCutoff/doubleSided), so opaque, cutout
+  // and blended surfaces keep their own state at the cost of one draw call each. Primitives without a
+  // material had no UVs remapped into the atlas, so they stay material-less.
+  const used = new Set();
+  for (const mesh of root.listMeshes()) {
+    for (const prim of mesh.listPrimitives()) {
+      if (prim.getMaterial()) used.add(prim.getMaterial());
+    }
   }
-  if (atlasTextures.emissive) mat.setEmissiveTexture(atlasTextures.emissive);
+  const groups = groupByRenderState([...used]);
+  const mergedByMaterial = new Map();
+  for (const group of groups) {
+    const mat = doc.createMaterial(groups.length > 1 ? `Atlas_Merged_${group.label}` : 'Atlas_Merged');
+    if (atlasTextures.basecolor) mat.setBaseColorTexture(atlasTextures.basecolor);
+    if (atlasTextures.normal) mat.setNormalTexture(atlasTextures.normal);
+    if (atlasTextures.orm) {
+      mat.setMetallicRoughnessTexture(atlasTextures.orm);
+      mat.setOcclusionTexture(atlasTextures.orm);
+    }
+    // Source factors are baked into the atlas texels, so the merged material uses identity factors.
+    if (atlasTextures.emissive) mat.setEmissiveTexture(atlasTextures.emissive).setEmissiveFactor([1, 1, 1]);
+    mat
+      .setAlphaMode(group.state.alphaMode)
+      .setAlphaCutoff(group.state.alphaCutoff)
+      .setDoubleSided(group.state.doubleSided);
+    for (const src of group.materials) mergedByMaterial.set(src, mat);
+  }
+  const resolveMaterial = (prim) => mergedByMaterial.get(prim.getMaterial()) ?? null;
 
   const mergedMesh = doc.createMesh('Merged');
   const newNode = doc.createNode('MergedNode').setMesh(mergedMesh);
@@ -415,7 +624,7 @@ async function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
   for (const sc of scenes) {
     const sceneChildren = sc.listChildren().slice();
     for (const child of sceneChildren) {
-      bakeNodeRecursive(child, mergedMesh, mat, doc);
+      bakeNodeRecursive(child, mergedMesh, resolveMaterial, doc);
       sc.removeChild(child);
     }
   }
@@ -426,8 +635,9 @@ async function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
     if (mesh === mergedMesh) continue;
     mesh.dispose();
   }
+  const mergedMaterials = new Set(mergedByMaterial.values());
   for (const m of root.listMaterials()) {
-    if (m === mat) continue;
+    if (mergedMaterials.has(m)) continue;
     m.dispose();
   }
   for (const node of root.listNodes()) {
@@ -446,72 +656,252 @@ async function collapseToSingleMeshAndMaterial(doc, atlasTextures = {}) {
   mergePrimitivesIntoOne(mergedMesh, doc);
 }
 
+// Partition materials by the state a single draw call cannot vary.
+function groupByRenderState(materials) {
+  const order = { OPAQUE: 0, MASK: 1, BLEND: 2 };
+  const groups = new Map();
+  for (const mat of materials) {
+    const alphaMode = mat.getAlphaMode();
+    const state = {
+      alphaMode,
+      alphaCutoff: alphaMode === 'MASK' ? mat.getAlphaCutoff() : 0.5,
+      doubleSided: mat.getDoubleSided(),
+    };
+    const label = [
+      alphaMode,
+      ...(alphaMode === 'MASK' ? [String(state.alphaCutoff)] : []),
+      ...(state.doubleSided ? ['DoubleSided'] : []),
+    ].join('_');
+    if (!groups.has(label)) groups.set(label, { label, state, materials: [] });
+    groups.get(label).materials.push(mat);
+  }
+  return [...groups.values()].sort(
+    (a, b) => order[a.state.alphaMode] - order[b.state.alphaMode] || a.label.localeCompare(b.label)
+  );
+}
+
+// Merge primitives sharing a material; one primitive (draw call) remains per merged material.
 function mergePrimitivesIntoOne(mesh, doc) {
   const prims = mesh.listPrimitives();
-  if (prims.length <= 1) return;
+  // Morph targets are matched by name; every primitive of a mesh must carry the same list.
+  const targetNames = [...new Set(prims.flatMap((p) => p.listTargets().map((t) => t.getName())))];
+  if (targetNames.length) {
+    const weights = targetNames.map((name) => {
+      const target = prims.flatMap((p) => p.listTargets()).find((t) => t.getName() === name);
+      return morphTargetWeights.get(target) ?? 0;
+    });
+    mesh.setWeights(weights);
+  }
+  if (prims.length <= 1 && !targetNames.length) return;
 
+  // Triangles, lines and points only concatenate with their own kind.
+  const groups = new Map(); // material -> list mode -> primitives
+  for (const prim of prims) {
+    const mat = prim.getMaterial();
+    const mode = listModeOf(prim.getMode());
+    if (!groups.has(mat)) groups.set(mat, new Map());
+    const byMode = groups.get(mat);
+    if (!byMode.has(mode)) byMode.set(mode, []);
+    byMode.get(mode).push(prim);
+  }
+  const merged = [];
+  for (const group of [...groups.values()].flatMap((byMode) => [...byMode.values()])) {
+    // Lone primitives are rebuilt too when targets need aligning to the mesh-wide list.
+    const rebuild = group.length > 1 || targetNames.length;
+    merged.push(rebuild ? mergePrimitiveGroup(group, doc, targetNames) || group[0] : group[0]);
+  }
+  prims.forEach((p) => {
+    if (!merged.includes(p)) mesh.removePrimitive(p);
+  });
+  merged.forEach((p) => {
+    if (!mesh.listPrimitives().includes(p)) mesh.addPrimitive(p);
+  });
+}
+
+function mergePrimitiveGroup(prims, doc, targetNames = []) {
+  const sources = prims.filter((prim) => prim.getAttribute('POSITION'));
   const newPrim = doc.createPrimitive();
   let indexBase = 0;
-  const positions = [];
-  const normals = [];
-  const tangents = [];
-  const uvs = [];
   const indices = [];
 
-  for (const prim of prims) {
-    const pos = prim.getAttribute('POSITION');
-    if (!pos) continue;
-    const norm = prim.getAttribute('NORMAL');
-    const tan = prim.getAttribute('TANGENT');
-    const uv = prim.getAttribute('TEXCOORD_0');
-    const idx = prim.getIndices();
-
-    addVecN(pos, positions, 3);
-    if (norm) addVecN(norm, normals, 3);
-    if (tan) addVecN(tan, tangents, 4);
-    if (uv) addVecN(uv, uvs, 2);
-
-    if (idx) {
-      const idxArray = idx.getArray();
+  for (const prim of sources) {
+    const vertCount = prim.getAttribute('POSITION').getCount();
+    const idxArray = listPrimitiveIndices(prim).indices;
+    if (idxArray) {
       for (let i = 0; i < idxArray.length; i++) indices.push(idxArray[i] + indexBase);
-      indexBase += pos.getCount();
     } else {
-      const vertCount = pos.getCount();
       for (let i = 0; i < vertCount; i++) indices.push(i + indexBase);
-      indexBase += vertCount;
     }
+    indexBase += vertCount;
   }
 
-  if (!positions.length || !indices.length) return;
+  if (!sources.length || !indices.length) return null;
 
-  const createAccessor = (arr, type) =>
-    doc.createAccessor().setType(type).setArray(new Float32Array(arr));
+  // Every attribute any primitive carries survives; gaps get per-semantic defaults.
+  const semantics = new Set(sources.flatMap((prim) => prim.listSemantics()));
+  for (const semantic of semantics) {
+    newPrim.setAttribute(semantic, concatAttribute(semantic, sources, doc));
+  }
 
-  newPrim.setAttribute('POSITION', createAccessor(positions, 'VEC3'));
-  if (normals.length === positions.length) newPrim.setAttribute('NORMAL', createAccessor(normals, 'VEC3'));
-  if (tangents.length === (positions.length / 3) * 4) newPrim.setAttribute('TANGENT', createAccessor(tangents, 'VEC4'));
-  if (uvs.length === (positions.length / 3) * 2) newPrim.setAttribute('TEXCOORD_0', createAccessor(uvs, 'VEC2'));
+  // Primitives without a given target contribute zero deltas.
+  for (const name of targetNames) {
+    const targetOf = (prim) => prim.listTargets().find((t) => t.getName() === name) || null;
+    const target = doc.createPrimitiveTarget(name);
+    const targetSemantics = new Set(sources.flatMap((prim) => targetOf(prim)?.listSemantics() || []));
+    for (const semantic of targetSemantics) {
+      const accessorOf = (prim) => targetOf(prim)?.getAttribute(semantic) || null;
+      target.setAttribute(semantic, concatAttribute(semantic, sources, doc, accessorOf, zeroDefault));
+    }
+    newPrim.addTarget(target);
+  }
 
-  const indexComponent = indices.length > 65535 ? Uint32Array : Uint16Array;
-  const idxArray = new indexComponent(indices);
-  const indexAccessor = doc.createAccessor().setType('SCALAR').setArray(idxArray);
-  newPrim.setIndices(indexAccessor);
+  newPrim.setMode(listModeOf(sources[0].getMode()));
+  newPrim.setIndices(createIndexAccessor(indices, doc));
 
   const firstMat = prims[0].getMaterial();
   if (firstMat) newPrim.setMaterial(firstMat);
+  return newPrim;
+}
+
+// Concatenate one vertex attribute across primitives. When every source shares element size,
+// component type and normalized flag the raw layout is kept; otherwise values are widened to
+// float. Primitives lacking the attribute are filled with `defaultOf` (morph targets pass their own
+// accessor lookup and zero deltas).
+function concatAttribute(
+  semantic,
+  prims,
+  doc,
+  accessorOf = (prim) => prim.getAttribute(semantic),
+  defaultOf = attributeDefault
+) {
+  const accessors = prims.map(accessorOf);
+  const present = accessors.filter(Boolean);
+  const elementSize = Math.max(...present.map((a) => a.getElementSize()));
+  const type = present.find((a) => a.getElementSize() === elementSize).getType();
+  const first = present[0];
+  const uniform = present.every(
+    (a) =>
+      a.getElementSize() === elementSize &&
+      a.getArray().constructor === first.getArray().constructor &&
+      a.getNormalized() === first.getNormalized()
+  );
+  const { ArrayType, normalized } = uniform
+    ? { ArrayType: first.getArray().constructor, normalized: first.getNormalized() }
+    : widenedComponentType(semantic, present);
+  const encode = normalized ? normalizedEncoder(ArrayType) : (v) => v;
+
+  const total = prims.reduce((n, prim) => n + prim.getAttribute('POSITION').getCount(), 0);
+  const out = new ArrayType(total * elementSize);
+  let offset = 0;
+  prims.forEach((prim, i) => {
+    const count = prim.getAttribute('POSITION').getCount();
+    const src = accessors[i];
+    if (src && uniform) {
+      out.set(src.getArray().subarray(0, count * elementSize), offset);
+    } else {
+      const fallback = defaultOf(semantic, elementSize, prim);
+      const el = [];
+      for (let v = 0; v < count; v++) {
+        const def = fallback(v);
+        // getElement decodes normalized sources, so mixed layouts meet in float space.
+        const values = src ? src.getElement(v, el) : def;
+        for (let c = 0; c < elementSize; c++) {
+          out[offset + v * elementSize + c] = encode(c < values.length ? values[c] : def[c]);
+        }
+      }
+    }
+    offset += count * elementSize;
+  });
 
-  mesh.listPrimitives().forEach((p) => mesh.removePrimitive(p));
-  mesh.addPrimitive(newPrim);
+  return doc.createAccessor().setType(type).setArray(out).setNormalized(normalized);
 }
 
-function addVecN(attr, out, n) {
-  const array = attr.getArray();
-  for (let i = 0; i < array.length; i += n) {
-    for (let k = 0; k < n; k++) out.push(array[i + k]);
+// Component type that holds every source of a mixed-layout attribute and is still valid glTF:
+// JOINTS only allow unsigned byte/short, so they widen to Uint16; all-normalized sources (colours,
+// quantized UVs or weights) widen to the widest normalized integer among them; the rest to float.
+function widenedComponentType(semantic, accessors) {
+  if (semantic.startsWith('JOINTS_')) return { ArrayType: Uint16Array, normalized: false };
+  if (accessors.every((a) => a.getNormalized())) {
+    const types = accessors.map((a) => a.getArray().constructor);
+    const signed = types.some((T) => T === Int8Array || T === Int16Array);
+    const wide = types.some((T) => T === Uint16Array || T === Int16Array);
+    const ArrayType = signed ? (wide ? Int16Array : Int8Array) : wide ? Uint16Array : Uint8Array;
+    return { ArrayType, normalized: true };
   }
+  return { ArrayType: Float32Array, normalized: false };
 }
 
-function bakeNodeRecursive(node, mergedMesh, material, doc, parentMatrix) {
+// Default value for vertex `v` of a primitive without `semantic`: white vertex colour, +X tangent,
+// single-influence weights, flat-shaded normals, zero for everything else (UVs, joints, custom).
+function attributeDefault(semantic, elementSize, prim) {
+  const pad = (values) => Array.from({ length: elementSize }, (_, c) => values[c] ?? 0);
+  if (semantic.startsWith('COLOR_')) {
+    const white = pad([1, 1, 1, 1]);
+    return () => white;
+  }
+  if (semantic === 'TANGENT') {
+    const tangent = pad([1, 0, 0, 1]);
+    return () => tangent;
+  }
+  if (semantic === 'WEIGHTS_0') {
+    const weights = pad([1]);
+    return () => weights;
+  }
+  if (semantic === 'NORMAL') {
+    const normals = computeVertexNormals(prim);
+    return (v) => normals.subarray(v * 3, v * 3 + 3);
+  }
+  const zero = pad([]);
+  return () => zero;
+}
+
+function zeroDefault(semantic, elementSize) {
+  const zero = new Array(elementSize).fill(0);
+  return () => zero;
+}
+
+// Area-weighted vertex normals for a triangle list; +Z where a vertex touches no triangle.
+function computeVertexNormals(prim) {
+  const pos = prim.getAttribute('POSITION');
+  const count = pos.getCount();
+  const normals = new Float32Array(count * 3);
+  const idx = prim.getIndices()?.getArray();
+  const triCount = prim.getMode() === 4 ? Math.floor((idx ? idx.length : count) / 3) : 0;
+  const a = [];
+  const b = [];
+  const c = [];
+  for (let t = 0; t < triCount; t++) {
+    const i0 = idx ? idx[t * 3] : t * 3;
+    const i1 = idx ? idx[t * 3 + 1] : t * 3 + 1;
+    const i2 = idx ? idx[t * 3 + 2] : t * 3 + 2;
+    pos.getElement(i0, a);
+    pos.getElement(i1, b);
+    pos.getElement(i2, c);
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    for (const i of [i0, i1, i2]) {
+      normals[i * 3] += n[0];
+      normals[i * 3 + 1] += n[1];
+      normals[i * 3 + 2] += n[2];
+    }
+  }
+  for (let i = 0; i < count; i++) {
+    const n = normals.subarray(i * 3, i * 3 + 3);
+    if (!n[0] && !n[1] && !n[2]) n[2] = 1;
+    normalizeInPlace(n);
+  }
+  return normals;
+}
+
+// Float (0–1 or -1–1) -> normalized integer component for the given typed array.
+function normalizedEncoder(ArrayType) {
+  const max = { Uint8Array: 255, Uint16Array: 65535, Int8Array: 127, Int16Array: 32767 }[ArrayType.name] || 1;
+  const min = ArrayType.name.startsWith('Int') ? -1 : 0;
+  return (v) => Math.round(Math.min(1, Math.max(min, v)) * max);
+}
+
+function bakeNodeRecursive(node, mergedMesh, resolveMaterial, doc, parentMatrix) {
   const local = node.getMatrix ? node.getMatrix() : null;
   const world = parentMatrix ? multiplyMat4(parentMatrix, local || identityMat4()) : local || identityMat4();
 
@@ -519,23 +909,33 @@ function bakeNodeRecursive(node, mergedMesh, material, doc, parentMatrix) {
   if (mesh) {
     for (const prim of mesh.listPrimitives()) {
       const bakedPrim = bakePrimitiveTransform(prim, world, doc);
-      bakedPrim.setMaterial(material);
+      bakedPrim.setMaterial(resolveMaterial(prim));
+      nameMorphTargets(bakedPrim, mesh, node);
       mergedMesh.addPrimitive(bakedPrim);
     }
   }
 
   for (const child of node.listChildren ? node.listChildren() : []) {
-    bakeNodeRecursive(child, mergedMesh, material, doc, world);
+    bakeNodeRecursive(child, mergedMesh, resolveMaterial, doc, world);
   }
 }
 
 function bakePrimitiveTransform(prim, matrix, doc) {
   const out = doc.createPrimitive();
   const idx = prim.getIndices();
-  if (idx) out.setIndices(idx.clone());
+  // Strips, fans and line strips/loops are unrolled into lists so baked primitives can be
+  // concatenated; a mirroring matrix turns faces inside out unless the winding flips with it.
+  const list = listPrimitiveIndices(prim);
+  out.setMode(list.mode);
+  let indices = list.indices;
+  if (list.mode === Primitive.Mode.TRIANGLES && determinant3(matrix) < -SINGULAR_EPSILON) {
+    indices = flipTriangleWinding(indices || Array.from({ length: prim.getAttribute('POSITION').getCount() }, (_, i) => i));
+  }
+  if (idx && indices === idx.getArray()) out.setIndices(idx.clone());
+  else if (indices) out.setIndices(createIndexAccessor(indices, doc));
 
-  const attrNames = ['POSITION', 'NORMAL', 'TANGENT', 'TEXCOORD_0'];
-  attrNames.forEach((name) => {
+  // Carry every attribute (COLOR_n, TEXCOORD_n, JOINTS_n/WEIGHTS_n, custom _*); only spatial ones are baked.
+  prim.listSemantics().forEach((name) => {
     const accessor = prim.getAttribute(name);
     if (!accessor) return;
     let baked = accessor;
@@ -546,11 +946,103 @@ function bakePrimitiveTransform(prim, matrix, doc) {
     out.setAttribute(name, baked);
   });
 
+  // Morph target deltas are directions: positions and tangents follow the matrix without translation,
+  // normals the normal matrix (not renormalized, they are offsets).
+  const normalMat = computeNormalMatrix(matrix);
+  for (const target of prim.listTargets()) {
+    const baked = doc.createPrimitiveTarget(target.getName());
+    for (const semantic of target.listSemantics()) {
+      const accessor = target.getAttribute(semantic);
+      if (semantic === 'POSITION' || semantic === 'TANGENT') {
+        baked.setAttribute(semantic, transformDeltaAccessor(accessor, matrix, doc));
+      } else if (semantic === 'NORMAL') {
+        baked.setAttribute(semantic, transformDeltaAccessor(accessor, normalMat, doc));
+      } else baked.setAttribute(semantic, accessor.clone());
+    }
+    out.addTarget(baked);
+  }
+
   return out;
 }
 
+// A primitive's indices unrolled into its list mode: strips and fans become TRIANGLES (dropping the
+// degenerate triangles strips use as joints), line strips and loops become LINES. List primitives
+// return their own index array, or null when they are not indexed.
+function listPrimitiveIndices(prim) {
+  const mode = prim.getMode();
+  const src = prim.getIndices()?.getArray() || null;
+  const count = src ? src.length : prim.getAttribute('POSITION').getCount();
+  const at = (i) => (src ? src[i] : i);
+  const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN, LINES, LINE_STRIP, LINE_LOOP } = Primitive.Mode;
+  const out = [];
+  if (mode === TRIANGLE_STRIP) {
+    // Odd triangles swap their last two vertices to keep the strip's winding.
+    for (let i = 0; i + 2 < count; i++) {
+      const [a, b, c] = i % 2 ? [at(i), at(i + 2), at(i + 1)] : [at(i), at(i + 1), at(i + 2)];
+      if (a !== b && b !== c && a !== c) out.push(a, b, c);
+    }
+    return { mode: TRIANGLES, indices: out };
+  }
+  if (mode === TRIANGLE_FAN) {
+    for (let i = 1; i + 1 < count; i++) out.push(at(0), at(i), at(i + 1));
+    return { mode: TRIANGLES, indices: out };
+  }
+  if (mode === LINE_STRIP || mode === LINE_LOOP) {
+    for (let i = 0; i + 1 < count; i++) out.push(at(i), at(i + 1));
+    if (mode === LINE_LOOP && count > 2) out.push(at(count - 1), at(0));
+    return { mode: LINES, indices: out };
+  }
+  return { mode, indices: src };
+}
+
+function listModeOf(mode) {
+  const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN, LINES, LINE_STRIP, LINE_LOOP } = Primitive.Mode;
+  if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) return TRIANGLES;
+  if (mode === LINE_STRIP || mode === LINE_LOOP) return LINES;
+  return mode;
+}
+
+// The same triangle list with every triangle's winding reversed.
+function flipTriangleWinding(indices) {
+  const out = Array.from(indices);
+  for (let i = 0; i + 2 < out.length; i += 3) {
+    [out[i + 1], out[i + 2]] = [out[i + 2], out[i + 1]];
+  }
+  return out;
+}
+
+// Index accessor sized to the largest index it holds. 65535 is the primitive-restart value and
+// may not appear in a Uint16 index buffer.
+function createIndexAccessor(indices, doc) {
+  let max = 0;
+  for (let i = 0; i < indices.length; i++) if (indices[i] > max) max = indices[i];
+  const array = max >= 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+  return doc.createAccessor().setType('SCALAR').setArray(array);
+}
+
+function transformDeltaAccessor(accessor, matrix, doc) {
+  const outArr = new Float32Array(accessor.getCount() * 3);
+  const tmp = [];
+  for (let i = 0; i < accessor.getCount(); i++) {
+    outArr.set(transformVector(accessor.getElement(i, tmp), matrix), i * 3);
+  }
+  return doc.createAccessor().setType('VEC3').setArray(outArr);
+}
+
+// Name morph targets after the source mesh's `extras.targetNames` and remember their default
+// weight (node weights override mesh weights) for the merged mesh.
+function nameMorphTargets(prim, mesh, node) {
+  const names = mesh.getExtras()?.targetNames || [];
+  const weights = node.getWeights().length ? node.getWeights() : mesh.getWeights();
+  prim.listTargets().forEach((target, i) => {
+    // Unnamed targets are namespaced by mesh so unrelated meshes' targets do not merge by index.
+    if (!target.getName()) target.setName(names[i] ?? `${mesh.getName() || 'mesh'}_${i}`);
+    morphTargetWeights.set(target, weights[i] ?? 0);
+  });
+}
+
 function transformVec3Accessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
+  const arr = readFloatArray(accessor);
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 3) {
     const v = transformPoint([arr[i], arr[i + 1], arr[i + 2]], matrix);
@@ -562,11 +1054,15 @@ function transformVec3Accessor(accessor, matrix, doc) {
 }
 
 function transformNormalAccessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
+  const arr = readFloatArray(accessor);
   const normalMat = computeNormalMatrix(matrix);
+  // A singular transform collapses normals lying in the flattened plane to zero length; they take
+  // the flattened surface's normal instead.
+  const fallback = isSingular(matrix) ? flattenedAxis(matrix, normalMat) : null;
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 3) {
-    const v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    let v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    if (fallback && isNearZero(v, normalMat)) v = [...fallback];
     normalizeInPlace(v);
     outArr[i] = v[0];
     outArr[i + 1] = v[1];
@@ -576,20 +1072,37 @@ function transformNormalAccessor(accessor, matrix, doc) {
 }
 
 function transformTangentAccessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
-  const normalMat = computeNormalMatrix(matrix);
+  const arr = readFloatArray(accessor);
+  // Mirroring swaps the bitangent's side, so the handedness sign flips with it.
+  const handedness = determinant3(matrix) < -SINGULAR_EPSILON ? -1 : 1;
+  // Tangents along a flattened axis collapse to zero; any direction in the flattened surface will do.
+  const fallback = isSingular(matrix) ? perpendicularTo(flattenedAxis(matrix, computeNormalMatrix(matrix))) : null;
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 4) {
-    const v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    // Tangents lie in the surface, so they follow the model matrix rather than the normal matrix.
+    let v = transformVector([arr[i], arr[i + 1], arr[i + 2]], matrix);
+    if (fallback && isNearZero(v, matrix)) v = [...fallback];
     normalizeInPlace(v);
     outArr[i] = v[0];
     outArr[i + 1] = v[1];
     outArr[i + 2] = v[2];
-    outArr[i + 3] = arr[i + 3];
+    outArr[i + 3] = arr[i + 3] * handedness;
   }
   return doc.createAccessor().setType('VEC4').setArray(outArr);
 }
 
+// A copy of an accessor's values as floats. Normalized integers (KHR_mesh_quantization UVs, normals,
+// colors) are decoded to their unit range; other integer attributes keep their values.
+function readFloatArray(accessor) {
+  const array = accessor.getArray();
+  if (array instanceof Float32Array) return new Float32Array(array);
+  const size = accessor.getElementSize();
+  const out = new Float32Array(accessor.getCount() * size);
+  const el = [];
+  for (let i = 0; i < accessor.getCount(); i++) out.set(accessor.getElement(i, el), i * size);
+  return out;
+}
+
 function transformPoint(v, m) {
   const x = v[0], y = v[1], z = v[2];
   const w = 1 / (m[3] * x + m[7] * y + m[11] * z + m[15]);
@@ -618,9 +1131,10 @@ function computeNormalMatrix(m) {
   const b11 = -a22 * a10 + a12 * a20;
   const b21 = a21 * a10 - a11 * a20;
 
+  // A singular matrix (an axis scaled to zero) has no inverse, but its cofactor matrix still maps
+  // normals onto the flattened surface's normal; use it unscaled, as callers renormalize.
   let det = a00 * b01 + a01 * b11 + a02 * b21;
-  if (!det) return identityMat4();
-  det = 1.0 / det;
+  det = Math.abs(det) > SINGULAR_EPSILON ? 1.0 / det : 1;
 
   const out = new Float32Array(16);
   out[0] = b01 * det;
@@ -642,6 +1156,49 @@ function computeNormalMatrix(m) {
   return out;
 }
 
+function isSingular(m) {
+  return Math.abs(determinant3(m)) <= SINGULAR_EPSILON;
+}
+
+// Whether `v` (the image of a unit vector under the upper 3x3 of `m`) is zero up to float noise.
+function isNearZero(v, m) {
+  const scale = Math.max(...columns3(m).flat().map(Math.abs));
+  return Math.hypot(v[0], v[1], v[2]) <= 1e-6 * scale;
+}
+
+// Unit normal of the surface a singular transform flattens geometry onto: the cofactor matrix's
+// column space. When geometry collapses to a line (or a point), any direction across it.
+function flattenedAxis(m, normalMat) {
+  const longest = (vs) => vs.reduce((best, v) => (Math.hypot(...v) > Math.hypot(...best) ? v : best));
+  let axis = longest(columns3(normalMat));
+  if (Math.hypot(...axis) <= SINGULAR_EPSILON) axis = perpendicularTo(longest(columns3(m)));
+  normalizeInPlace(axis);
+  return axis;
+}
+
+// A unit vector perpendicular to `v` (+Z for a zero vector).
+function perpendicularTo(v) {
+  const helper = Math.abs(v[2]) < 0.9 * Math.hypot(...v) ? [0, 0, 1] : [1, 0, 0];
+  const out = [v[1] * helper[2] - v[2] * helper[1], v[2] * helper[0] - v[0] * helper[2], v[0] * helper[1] - v[1] * helper[0]];
+  if (Math.hypot(...out) <= SINGULAR_EPSILON) return [0, 0, 1];
+  normalizeInPlace(out);
+  return out;
+}
+
+// The columns of a column-major 4x4's upper 3x3.
+function columns3(m) {
+  return [[m[0], m[1], m[2]], [m[4], m[5], m[6]], [m[8], m[9], m[10]]];
+}
+
+// Determinant of a column-major 4x4's upper 3x3: negative for mirroring transforms.
+function determinant3(m) {
+  return (
+    m[0] * (m[5] * m[10] - m[9] * m[6]) -
+    m[4] * (m[1] * m[10] - m[9] * m[2]) +
+    m[8] * (m[1] * m[6] - m[5] * m[2])
+  );
+}
+
 function multiplyMat4(a, b) {
   const out = new Float32Array(16);
   for (let c = 0; c < 4; c++) {
@@ -672,12 +1229,8 @@ function mergeAllBuffers(doc) {
   return;
 }
 
-async function createFallbackBuffer(map, width, height) {
-  let color = [0, 0, 0, 255];
-  if (map === 'basecolor') color = [255, 255, 255, 255];
-  else if (map === 'normal') color = [128, 128, 255, 255];
-  else if (map === 'orm') color = [255, 255, 255, 255];
-  else if (map === 'emissive') color = [0, 0, 0, 255];
+async function createFallbackBuffer(map, width, height, mat = null) {
+  const color = fallbackColor(map, mat);
   const canvas = new OffscreenCanvas(width, height);
   const ctx = canvas.getContext('2d');
   ctx.fillStyle = `rgba(${color[0]},${color[1]},${color[2]},${color[3] / 255})`;
@@ -686,6 +1239,157 @@ async function createFallbackBuffer(map, width, height) {
   return new Uint8Array(await blob.arrayBuffer());
 }
 
+// The texel that reproduces a material's look when it has no texture in the slot.
+function fallbackColor(map, mat) {
+  const toByte = (v) => Math.round(Math.min(1, Math.max(0, v)) * 255);
+  const srgb = (c) => toByte(linearToSrgb(Math.min(1, Math.max(0, c))));
+  if (map === 'normal') return [128, 128, 255, 255];
+  if (!mat) return map === 'emissive' ? [0, 0, 0, 255] : [255, 255, 255, 255];
+  if (map === 'basecolor') {
+    const [r, g, b, a] = mat.getBaseColorFactor();
+    return [srgb(r), srgb(g), srgb(b), toByte(a)];
+  }
+  // R = no occlusion; G/B carry the material's own roughness/metallic factors.
+  if (map === 'orm') return [255, toByte(mat.getRoughnessFactor()), toByte(mat.getMetallicFactor()), 255];
+  if (map === 'emissive') return [...mat.getEmissiveFactor().map(srgb), 255];
+  return [0, 0, 0, 255];
+}
+
+// How a material's factors transform its texels in `map` (linear `v * mul + add`, or a tangent-space
+// `normalScale`), or null when they are the identity.
+function resolveFactor(map, mat) {
+  let factor = {};
+  if (map === 'basecolor') factor = { mul: mat.getBaseColorFactor() };
+  else if (map === 'normal') factor = { normalScale: mat.getNormalScale() };
+  else if (map === 'emissive') factor = { mul: [...mat.getEmissiveFactor(), 1] };
+  else if (map === 'orm') {
+    // Occlusion strength lerps R towards 1: 1 + s * (R - 1).
+    const s = mat.getOcclusionStrength();
+    factor = { mul: [s, mat.getRoughnessFactor(), mat.getMetallicFactor(), 1], add: [1 - s, 0, 0, 0] };
+  }
+  const { mul = [1, 1, 1, 1], add = [0, 0, 0, 0], normalScale = 1 } = factor;
+  const identity = mul.every((v) => v === 1) && add.every((v) => v === 0) && normalScale === 1;
+  return identity ? null : { mul, add, normalScale };
+}
+
+// Once a material samples the atlas its factors are already in the texels.
+function resetFactors(map, mat) {
+  if (map === 'basecolor') mat.setBaseColorFactor([1, 1, 1, 1]);
+  else if (map === 'normal') mat.setNormalScale(1);
+  else if (map === 'emissive') mat.setEmissiveFactor([1, 1, 1]);
+  else if (map === 'orm') mat.setOcclusionStrength(1).setRoughnessFactor(1).setMetallicFactor(1);
+}
+
+// Multiply a material's factors into its texels (sRGB slots are scaled in linear space).
+async function bakeFactorsIntoImage(map, buffer, factor) {
+  if (!factor) return buffer;
+  const bmp = await createImageBitmap(new Blob([buffer]));
+  const { width, height } = bmp;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bmp, 0, 0);
+  bmp.close();
+  const data = ctx.getImageData(0, 0, width, height).data;
+  const srgb = map === 'basecolor' || map === 'emissive';
+  const { mul, add, normalScale } = factor;
+  for (let i = 0; i < data.length; i += 4) {
+    if (normalScale !== 1) {
+      const n = [((data[i] / 255) * 2 - 1) * normalScale, ((data[i + 1] / 255) * 2 - 1) * normalScale, (data[i + 2] / 255) * 2 - 1];
+      normalizeInPlace(n);
+      for (let c = 0; c < 3; c++) data[i + c] = Math.round(((n[c] + 1) / 2) * 255);
+    }
+    for (let c = 0; c < 4; c++) {
+      if (mul[c] === 1 && add[c] === 0) continue;
+      const encoded = srgb && c < 3;
+      const v = encoded ? srgbToLinear(data[i + c] / 255) : data[i + c] / 255;
+      const out = Math.min(1, Math.max(0, v * mul[c] + add[c]));
+      data[i + c] = Math.round((encoded ? linearToSrgb(out) : out) * 255);
+    }
+  }
+  // The texels were read back through a 2D canvas, whose premultiplied storage has already zeroed RGB
+  // under alpha 0 (and quantized it under low alpha); the browser offers no unpremultiplied decode a 2D
+  // canvas keeps, and composeAtlas draws through one anyway. Full dilation is what refills that colour.
+  // Encoding directly at least avoids a second premultiplied round-trip.
+  return encodePngRgba(data, width, height);
+}
+
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+// Pack separate occlusion and metallic-roughness images into one ORM image
+// (R from occlusion, G/B from metallic-roughness). Returns null when neither exists.
+async function composeOrmImage(mat) {
+  let occ = mat.getOcclusionTexture();
+  const mr = mat.getMetallicRoughnessTexture();
+  if (!occ && !mr) return null;
+  // Pixel-by-pixel packing only holds when both slots sample the same UVs; otherwise drop occlusion.
+  const mismatched =
+    occ && mr && !sameUvSpace(mat.getOcclusionTextureInfo(), mat.getMetallicRoughnessTextureInfo());
+  if (mismatched) {
+    console.warn(
+      `[atlasgen] Material ${mat.getName() || '(unnamed)'}: occlusion and metallic-roughness use different UVs; ` +
+        'occlusion is left out of the ORM atlas.'
+    );
+    occ = null;
+  }
+  const name = (t) => t.getName() || '(unnamed)';
+  const channels = {
+    r: occ ? name(occ) : mismatched ? 'fallback (occlusion UVs differ)' : 'fallback',
+    g: mr ? name(mr) : 'fallback',
+    b: mr ? name(mr) : 'fallback',
+  };
+  if (occ && occ === mr) {
+    const buffer = occ.getImage();
+    return { buffer, ...(await getImageSize(buffer)), channels };
+  }
+
+  const sources = await Promise.all(
+    [occ, mr].map(async (t) => (t ? createImageBitmap(new Blob([t.getImage()])) : null))
+  );
+  const width = Math.max(...sources.filter(Boolean).map((b) => b.width));
+  const height = Math.max(...sources.filter(Boolean).map((b) => b.height));
+  const readPixels = (bmp) => {
+    if (!bmp) return null;
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bmp, 0, 0, width, height);
+    bmp.close();
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const [occPx, mrPx] = sources.map(readPixels);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const out = ctx.createImageData(width, height);
+  for (let i = 0; i < width * height * 4; i += 4) {
+    out.data[i] = occPx ? occPx[i] : 255;
+    // Missing channels stay white; the material's factors are baked in afterwards.
+    out.data[i + 1] = mrPx ? mrPx[i + 1] : 255;
+    out.data[i + 2] = mrPx ? mrPx[i + 2] : 255;
+    out.data[i + 3] = 255;
+  }
+  ctx.putImageData(out, 0, 0);
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return { buffer: new Uint8Array(await blob.arrayBuffer()), width, height, channels };
+}
+
+// Whether two texture infos sample the same UVs: same set, same KHR_texture_transform.
+function sameUvSpace(a, b) {
+  const uv = (info) => {
+    const t = info.getExtension('KHR_texture_transform');
+    return JSON.stringify([
+      t?.getTexCoord() ?? info.getTexCoord(),
+      t ? [t.getOffset(), t.getRotation(), t.getScale()] : [[0, 0], 0, [1, 1]],
+    ]);
+  };
+  return uv(a) === uv(b);
+}
+
 async function ensureUint8(data) {
   if (data instanceof Uint8Array) return data;
   if (data instanceof ArrayBuffer) return new Uint8Array(data);
@@ -746,43 +1450,8 @@ function pruneUnusedTextures(doc) {
 function findEntryForMaterials(materials, entries) {
   if (!materials || !entries) return null;
   for (const m of materials) {
-    const name =
-      typeof m === 'string'
-        ? m
-        : typeof m?.getName === 'function'
-        ? m.getName()
-        : null;
-    for (const e of entries) {
-      if (
-        e.materials &&
-        e.materials.some((mm) => {
-          if (mm === m) return true;
-          const mmName =
-            typeof mm === 'string'
-              ? mm
-              : typeof mm?.getName === 'function'
-              ? mm.getName()
-              : null;
-          return name && mmName && mmName === name;
-        })
-      ) {
-        return e;
-      }
-    }
-  }
-  return null;
-}
-
-function findEntryForNames(materials, mapByName) {
-  if (!materials || !mapByName) return null;
-  for (const m of materials) {
-    const name =
-      typeof m === 'string'
-        ? m
-        : typeof m?.getName === 'function'
-        ? m.getName()
-        : null;
-    if (name && mapByName.has(name)) return mapByName.get(name);
+    const entry = entries.find((e) => e.materials?.includes(m));
+    if (entry) return entry;
   }
   return null;
 }
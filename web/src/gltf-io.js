@@ -0,0 +1,82 @@
+import { WebIO } from '@gltf-transform/core';
+import {
+  KHRTextureTransform,
+  KHRMeshQuantization,
+  KHRDracoMeshCompression,
+  EXTMeshoptCompression,
+} from '@gltf-transform/extensions';
+import { draco, meshopt } from '@gltf-transform/functions';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+// Browser builds of Draco, bundled locally so the tools keep working offline (see vite.config.js). They
+// are emitted as plain assets rather than bundled: their Emscripten Node branches would otherwise drag
+// `fs`/`path` into the build.
+import dracoDecoderWrapperUrl from 'draco-browser-libs/draco_wasm_wrapper.js?url';
+import dracoDecoderWasmUrl from 'draco-browser-libs/draco_decoder.wasm?url';
+import dracoEncoderUrl from 'draco-browser-libs/draco_encoder.js?url';
+
+// Output geometry compression: 'draco' (KHR_draco_mesh_compression) or 'meshopt' (EXT_meshopt_compression).
+export const COMPRESSION_MODES = ['none', 'draco', 'meshopt'];
+
+let dracoDecoder = null;
+let dracoEncoder = null;
+
+/**
+ * WebIO that reads Draco and meshopt compressed GLBs. The Draco decoder is only loaded when one of
+ * `glbs` (the binaries about to be read) uses KHR_draco_mesh_compression, and the encoder only when
+ * `compress` asks for it.
+ */
+export async function createWebIO(compress = 'none', glbs = []) {
+  if (!COMPRESSION_MODES.includes(compress)) {
+    throw new Error(`Unknown compression "${compress}" (expected ${COMPRESSION_MODES.join(', ')})`);
+  }
+  await Promise.all([MeshoptDecoder.ready, MeshoptEncoder.ready]);
+  if (glbs.some(usesDraco)) {
+    dracoDecoder ||= await loadEmscriptenModule(dracoDecoderWrapperUrl, 'DracoDecoderModule', {
+      locateFile: () => dracoDecoderWasmUrl,
+    });
+  }
+  if (compress === 'draco') {
+    dracoEncoder ||= await loadEmscriptenModule(dracoEncoderUrl, 'DracoEncoderModule');
+  }
+  return new WebIO()
+    .registerExtensions([KHRTextureTransform, KHRMeshQuantization, KHRDracoMeshCompression, EXTMeshoptCompression])
+    .registerDependencies({
+      ...(dracoDecoder && { 'draco3d.decoder': dracoDecoder }),
+      ...(dracoEncoder && { 'draco3d.encoder': dracoEncoder }),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder,
+    });
+}
+
+// Whether a GLB's JSON chunk lists KHR_draco_mesh_compression in extensionsUsed.
+function usesDraco(glb) {
+  const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+  // 'glTF' magic, then the first chunk's length and 'JSON' type.
+  if (glb.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67 || view.getUint32(16, true) !== 0x4e4f534a) {
+    return false;
+  }
+  const json = JSON.parse(new TextDecoder().decode(glb.subarray(20, 20 + view.getUint32(12, true))));
+  return (json.extensionsUsed || []).includes(KHRDracoMeshCompression.EXTENSION_NAME);
+}
+
+// Evaluates an Emscripten wrapper as a classic script (module workers cannot importScripts) and
+// instantiates the module it defines.
+async function loadEmscriptenModule(url, name, options = {}) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${name} from ${url} (${response.status})`);
+  const factory = new Function(`${await response.text()}\nreturn ${name};`)();
+  return factory(options);
+}
+
+/** Marks geometry for compression on write; run after all other transforms. */
+export async function compressGeometry(doc, compress = 'none') {
+  // Drop codecs carried over from a compressed input so 'none' writes plain accessors.
+  for (const ext of doc.getRoot().listExtensionsUsed()) {
+    if (ext.extensionName === KHRDracoMeshCompression.EXTENSION_NAME ||
+        ext.extensionName === EXTMeshoptCompression.EXTENSION_NAME) {
+      ext.dispose();
+    }
+  }
+  if (compress === 'draco') await doc.transform(draco());
+  else if (compress === 'meshopt') await doc.transform(meshopt({ encoder: MeshoptEncoder }));
+}
@@ -1,21 +1,25 @@
-import { WebIO } from '@gltf-transform/core';
-import { KHRTextureTransform } from '@gltf-transform/extensions';
+import { Primitive } from '@gltf-transform/core';
 import { unpartition, prune } from '@gltf-transform/functions';
+import { createWebIO, compressGeometry } from './gltf-io.js';
+
+// Transforms whose 3x3 determinant is within this of zero are singular (an axis scaled to zero).
+const SINGULAR_EPSILON = 1e-12;
 
 self.onmessage = async (event) => {
-  const { file } = event.data || {};
+  const { file, opts = {} } = event.data || {};
   if (!file) {
     postError('No file provided');
     return;
   }
   try {
     const buffer = new Uint8Array(await file.arrayBuffer());
-    const io = new WebIO().registerExtensions([KHRTextureTransform]);
+    const io = await createWebIO(opts.compress, [buffer]);
     const doc = await io.readBinary(buffer);
 
     await mergeAllMeshes(doc);
     await doc.transform(unpartition());
     await doc.transform(prune());
+    await compressGeometry(doc, opts.compress);
 
     const out = await io.writeBinary(doc);
     const base64 = arrayBufferToBase64(out);
@@ -95,12 +99,18 @@ function bakeNodeRecursive(node, mergedMesh, doc, parentMatrix) {
 }
 
 function bakePrimitiveTransform(prim, matrix, doc) {
-  const out = doc.createPrimitive();
+  const out = doc.createPrimitive().setMode(prim.getMode());
   const idx = prim.getIndices();
-  if (idx) out.setIndices(idx.clone());
+  // A mirroring matrix turns faces inside out unless the winding flips with it.
+  if (determinant3(matrix) < -SINGULAR_EPSILON) {
+    const flipped = flipWindingIndices(prim, doc);
+    if (flipped) out.setIndices(flipped);
+  } else if (idx) {
+    out.setIndices(idx.clone());
+  }
 
-  const attrNames = ['POSITION', 'NORMAL', 'TANGENT', 'TEXCOORD_0', 'TEXCOORD_1', 'COLOR_0'];
-  attrNames.forEach((name) => {
+  // Carry every attribute (COLOR_n, TEXCOORD_n, JOINTS_n/WEIGHTS_n, custom _*); only spatial ones are baked.
+  prim.listSemantics().forEach((name) => {
     const accessor = prim.getAttribute(name);
     if (!accessor) return;
     let baked = accessor;
@@ -116,8 +126,36 @@ function bakePrimitiveTransform(prim, matrix, doc) {
   return out;
 }
 
+// Index list drawing the primitive's triangles with reversed winding (generated for non-indexed
+// primitives). Strips gain a leading degenerate triangle; fans keep their hub and reverse the rim.
+function flipWindingIndices(prim, doc) {
+  const mode = prim.getMode();
+  const idx = prim.getIndices();
+  const { TRIANGLES, TRIANGLE_STRIP, TRIANGLE_FAN } = Primitive.Mode;
+  if (mode !== TRIANGLES && mode !== TRIANGLE_STRIP && mode !== TRIANGLE_FAN) return idx ? idx.clone() : null;
+  const src = idx ? idx.getArray() : null;
+  const count = idx ? idx.getCount() : prim.getAttribute('POSITION').getCount();
+  const at = (i) => (src ? src[i] : i);
+  const IndexArray = src ? src.constructor : count > 65535 ? Uint32Array : Uint16Array;
+  const dst = new IndexArray(mode === TRIANGLE_STRIP ? count + 1 : count);
+  if (mode === TRIANGLES) {
+    for (let i = 0; i + 2 < count; i += 3) {
+      dst[i] = at(i);
+      dst[i + 1] = at(i + 2);
+      dst[i + 2] = at(i + 1);
+    }
+  } else if (mode === TRIANGLE_FAN) {
+    dst[0] = at(0);
+    for (let i = 1; i < count; i++) dst[i] = at(count - i);
+  } else {
+    dst[0] = at(0);
+    for (let i = 0; i < count; i++) dst[i + 1] = at(i);
+  }
+  return doc.createAccessor().setType('SCALAR').setArray(dst);
+}
+
 function transformVec3Accessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
+  const arr = readFloatArray(accessor);
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 3) {
     const v = transformPoint([arr[i], arr[i + 1], arr[i + 2]], matrix);
@@ -129,11 +167,15 @@ function transformVec3Accessor(accessor, matrix, doc) {
 }
 
 function transformNormalAccessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
+  const arr = readFloatArray(accessor);
   const normalMat = computeNormalMatrix(matrix);
+  // A singular transform collapses normals lying in the flattened plane to zero length; they take
+  // the flattened surface's normal instead.
+  const fallback = isSingular(matrix) ? flattenedAxis(matrix, normalMat) : null;
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 3) {
-    const v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    let v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    if (fallback && isNearZero(v, normalMat)) v = [...fallback];
     normalizeInPlace(v);
     outArr[i] = v[0];
     outArr[i + 1] = v[1];
@@ -143,20 +185,37 @@ function transformNormalAccessor(accessor, matrix, doc) {
 }
 
 function transformTangentAccessor(accessor, matrix, doc) {
-  const arr = accessor.getArray();
-  const normalMat = computeNormalMatrix(matrix);
+  const arr = readFloatArray(accessor);
+  // Mirroring swaps the bitangent's side, so the handedness sign flips with it.
+  const handedness = determinant3(matrix) < -SINGULAR_EPSILON ? -1 : 1;
+  // Tangents along a flattened axis collapse to zero; any direction in the flattened surface will do.
+  const fallback = isSingular(matrix) ? perpendicularTo(flattenedAxis(matrix, computeNormalMatrix(matrix))) : null;
   const outArr = new Float32Array(arr.length);
   for (let i = 0; i < arr.length; i += 4) {
-    const v = transformVector([arr[i], arr[i + 1], arr[i + 2]], normalMat);
+    // Tangents lie in the surface, so they follow the model matrix rather than the normal matrix.
+    let v = transformVector([arr[i], arr[i + 1], arr[i + 2]], matrix);
+    if (fallback && isNearZero(v, matrix)) v = [...fallback];
     normalizeInPlace(v);
     outArr[i] = v[0];
     outArr[i + 1] = v[1];
     outArr[i + 2] = v[2];
-    outArr[i + 3] = arr[i + 3];
+    outArr[i + 3] = arr[i + 3] * handedness;
   }
   return doc.createAccessor().setType('VEC4').setArray(outArr);
 }
 
+// A copy of an accessor's values as floats. Normalized integers (KHR_mesh_quantization UVs, normals,
+// colors) are decoded to their unit range; other integer attributes keep their values.
+function readFloatArray(accessor) {
+  const array = accessor.getArray();
+  if (array instanceof Float32Array) return new Float32Array(array);
+  const size = accessor.getElementSize();
+  const out = new Float32Array(accessor.getCount() * size);
+  const el = [];
+  for (let i = 0; i < accessor.getCount(); i++) out.set(accessor.getElement(i, el), i * size);
+  return out;
+}
+
 function transformPoint(v, m) {
   const x = v[0], y = v[1], z = v[2];
   const w = 1 / (m[3] * x + m[7] * y + m[11] * z + m[15]);
@@ -185,9 +244,10 @@ function computeNormalMatrix(m) {
   const b11 = -a22 * a10 + a12 * a20;
   const b21 = a21 * a10 - a11 * a20;
 
+  // A singular matrix (an axis scaled to zero) has no inverse, but its cofactor matrix still maps
+  // normals onto the flattened surface's normal; use it unscaled, as callers renormalize.
   let det = a00 * b01 + a01 * b11 + a02 * b21;
-  if (!det) return identityMat4();
-  det = 1.0 / det;
+  det = Math.abs(det) > SINGULAR_EPSILON ? 1.0 / det : 1;
 
   const out = new Float32Array(16);
   out[0] = b01 * det;
@@ -209,6 +269,49 @@ function computeNormalMatrix(m) {
   return out;
 }
 
+function isSingular(m) {
+  return Math.abs(determinant3(m)) <= SINGULAR_EPSILON;
+}
+
+// Whether `v` (the image of a unit vector under the upper 3x3 of `m`) is zero up to float noise.
+function isNearZero(v, m) {
+  const scale = Math.max(...columns3(m).flat().map(Math.abs));
+  return Math.hypot(v[0], v[1], v[2]) <= 1e-6 * scale;
+}
+
+// Unit normal of the surface a singular transform flattens geometry onto: the cofactor matrix's
+// column space. When geometry collapses to a line (or a point), any direction across it.
+function flattenedAxis(m, normalMat) {
+  const longest = (vs) => vs.reduce((best, v) => (Math.hypot(...v) > Math.hypot(...best) ? v : best));
+  let axis = longest(columns3(normalMat));
+  if (Math.hypot(...axis) <= SINGULAR_EPSILON) axis = perpendicularTo(longest(columns3(m)));
+  normalizeInPlace(axis);
+  return axis;
+}
+
+// A unit vector perpendicular to `v` (+Z for a zero vector).
+function perpendicularTo(v) {
+  const helper = Math.abs(v[2]) < 0.9 * Math.hypot(...v) ? [0, 0, 1] : [1, 0, 0];
+  const out = [v[1] * helper[2] - v[2] * helper[1], v[2] * helper[0] - v[0] * helper[2], v[0] * helper[1] - v[1] * helper[0]];
+  if (Math.hypot(...out) <= SINGULAR_EPSILON) return [0, 0, 1];
+  normalizeInPlace(out);
+  return out;
+}
+
+// The columns of a column-major 4x4's upper 3x3.
+function columns3(m) {
+  return [[m[0], m[1], m[2]], [m[4], m[5], m[6]], [m[8], m[9], m[10]]];
+}
+
+// Determinant of a column-major 4x4's upper 3x3: negative for mirroring transforms.
+function determinant3(m) {
+  return (
+    m[0] * (m[5] * m[10] - m[9] * m[6]) -
+    m[4] * (m[1] * m[10] - m[9] * m[2]) +
+    m[8] * (m[1] * m[6] - m[5] * m[2])
+  );
+}
+
 function multiplyMat4(a, b) {
   const out = new Float32Array(16);
   for (let c = 0; c < 4; c++) {
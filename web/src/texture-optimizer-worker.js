@@ -1,5 +1,4 @@
-import { WebIO } from '@gltf-transform/core';
-import { KHRTextureTransform } from '@gltf-transform/extensions';
+import { createWebIO, compressGeometry } from './gltf-io.js';
 
 self.onmessage = async (event) => {
   const { file, opts = {} } = event.data || {};
@@ -9,10 +8,11 @@ self.onmessage = async (event) => {
   }
   try {
     const buffer = new Uint8Array(await file.arrayBuffer());
-    const io = new WebIO().registerExtensions([KHRTextureTransform]);
+    const io = await createWebIO(opts.compress, [buffer]);
     const doc = await io.readBinary(buffer);
 
     await optimizeTextures(doc, opts);
+    await compressGeometry(doc, opts.compress);
 
     const out = await io.writeBinary(doc);
     const base64 = arrayBufferToBase64(out);
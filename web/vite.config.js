@@ -1,10 +1,18 @@
 import { defineConfig } from 'vite';
 import path from 'path';
+import { createRequire } from 'module';
+
+// Google's browser builds of Draco (decoder wrapper + wasm, encoder with embedded wasm). @loaders.gl/draco
+// ships them without exporting the files, so they are reached through its resolved install directory.
+const dracoLibs = path.join(path.dirname(createRequire(import.meta.url).resolve('@loaders.gl/draco')), 'libs');
 
 export default defineConfig({
   // With config in /web, make root explicit to this directory.
   root: path.resolve(__dirname, '.'),
   publicDir: 'public',
+  resolve: {
+    alias: { 'draco-browser-libs': dracoLibs },
+  },
   // Use relative base so assets and worker chunks load from GitHub Pages subpaths.
   base: './',
   build: {